@@ -1,17 +1,35 @@
 /**
  * AI Chat to Markdown Converter
- * Gemini・ChatGPTの会話履歴をMarkdownファイルに変換するツール
+ * Gemini・ChatGPT・Claudeの会話履歴をMarkdownファイルに変換するツール
  */
 
-class AIChatConverter {
+class AIChatConverter extends ChatConverterCore {
     constructor() {
-        this.jsonData = null;
-        this.conversations = [];
-        this.exportType = 'per_chat';
-        this.detectedSource = 'AI'; // 'Gemini', 'ChatGPT', or 'AI'
+        super();
+        this.filters = { query: '', titleOnly: false, from: '', to: '' };
+        this.listItems = []; // 会話一覧の項目（本文は含まない。getConversationSummaries を参照）
+        this.filteredItems = []; // 検索語・期間で絞り込んだ項目
+        this.filterRequest = 0;
+        this.countTimer = null; // 出力ファイル数の数え直しをまとめるタイマー
+        this.listLimit = 200;
+        this.previewKey = null;
+        this.previewMode = 'rendered'; // 'rendered' or 'raw'
+        this.templateDraft = null; // 編集中のテンプレート
+        this.loadCustomTemplates();
+        this.loadFieldMapping();
+
+        // 解析・変換は Web Worker で行う（使えない環境ではメインスレッドで行う）
+        this.worker = this.createWorker();
+        this.workerTasks = new Map(); // タスクID -> { resolve, reject, onProgress }
+        this.nextTaskId = 1;
+        this.mediaCount = 0; // Worker側で保持しているメディアファイルの数
+        this.loadedFiles = []; // 読み込んだファイル（Workerが止まった場合にメインスレッドで読み込み直す）
 
         this.initElements();
         this.initEventListeners();
+        this.renderTemplateOptions();
+        this.renderParserOptions();
+        this.renderOutputFormatOptions();
     }
 
     initElements() {
@@ -26,10 +44,49 @@ class AIChatConverter {
         this.progressSection = document.getElementById('progressSection');
         this.resultSection = document.getElementById('resultSection');
 
+        // Conversation browser
+        this.browserSection = document.getElementById('browserSection');
+        this.searchInput = document.getElementById('searchInput');
+        this.titleOnlyFilter = document.getElementById('titleOnlyFilter');
+        this.dateFrom = document.getElementById('dateFrom');
+        this.dateTo = document.getElementById('dateTo');
+        this.selectionCount = document.getElementById('selectionCount');
+        this.conversationList = document.getElementById('conversationList');
+        this.showMoreBtn = document.getElementById('showMoreBtn');
+
+        // Templates
+        this.templateSelect = document.getElementById('templateSelect');
+        this.templateEditor = document.getElementById('templateEditor');
+        this.templatePartSelect = document.getElementById('templatePartSelect');
+        this.templateText = document.getElementById('templateText');
+        this.templateName = document.getElementById('templateName');
+
+        // Output format
+        this.outputFormatSelect = document.getElementById('outputFormatSelect');
+
+        // Export format / custom field mapping
+        this.parserSelect = document.getElementById('parserSelect');
+        this.fieldMappingEditor = document.getElementById('fieldMappingEditor');
+        this.fieldMappingInputs = document.querySelectorAll('[data-mapping]');
+
+        // Incremental export
+        this.manifestInput = document.getElementById('manifestInput');
+        this.manifestStatus = document.getElementById('manifestStatus');
+
+        // Preview
+        this.previewSection = document.getElementById('previewSection');
+        this.previewTitle = document.getElementById('previewTitle');
+        this.previewRaw = document.getElementById('previewRaw');
+        this.previewRendered = document.getElementById('previewRendered');
+        this.previewTabs = document.querySelectorAll('[data-preview-mode]');
+
         // Stats
         this.totalConversations = document.getElementById('totalConversations');
         this.totalMessages = document.getElementById('totalMessages');
         this.outputFiles = document.getElementById('outputFiles');
+        this.diagnosticsStatus = document.getElementById('diagnosticsStatus');
+        this.diagnosticsContent = document.getElementById('diagnosticsContent');
+        this.sourceFileList = document.getElementById('sourceFileList');
 
         // Buttons
         this.convertBtn = document.getElementById('convertBtn');
@@ -56,14 +113,139 @@ class AIChatConverter {
             radio.addEventListener('change', (e) => {
                 this.exportType = e.target.value;
                 this.updateOutputFileCount();
+                this.refreshPreview();
             });
         });
 
+        // 詳細オプション（変更時は会話を再解析）
+        document.querySelectorAll('[data-option]').forEach(input => {
+            input.addEventListener('change', () => this.handleOptionChange(input));
+        });
+
+        // カスタムマッピング（変更時は保存して再解析）
+        this.fieldMappingInputs.forEach(input => {
+            input.addEventListener('change', () => this.handleFieldMappingChange());
+        });
+
+        // テンプレートの編集
+        document.getElementById('editTemplateBtn').addEventListener('click', () => this.toggleTemplateEditor());
+        this.templatePartSelect.addEventListener('change', () => {
+            this.templateText.value = this.templateDraft[this.templatePartSelect.value] || '';
+        });
+        this.templateText.addEventListener('input', () => {
+            this.templateDraft[this.templatePartSelect.value] = this.templateText.value;
+        });
+        document.getElementById('saveTemplateBtn').addEventListener('click', () => this.saveTemplate());
+        document.getElementById('deleteTemplateBtn').addEventListener('click', () => this.deleteTemplate());
+
+        // 差分エクスポートの基準（前回のマニフェスト / ZIP）
+        this.manifestInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.processManifestFile(e.target.files[0]);
+            }
+        });
+
+        // 会話一覧の検索・絞り込み
+        this.searchInput.addEventListener('input', () => this.handleFilterChange());
+        this.titleOnlyFilter.addEventListener('change', () => this.handleFilterChange());
+        this.dateFrom.addEventListener('change', () => this.handleFilterChange());
+        this.dateTo.addEventListener('change', () => this.handleFilterChange());
+        document.getElementById('selectVisibleBtn').addEventListener('click', () => this.setVisibleSelection(true));
+        document.getElementById('deselectVisibleBtn').addEventListener('click', () => this.setVisibleSelection(false));
+        this.showMoreBtn.addEventListener('click', () => {
+            this.listLimit += 200;
+            this.renderConversationList();
+        });
+        this.conversationList.addEventListener('click', (e) => {
+            const editButton = e.target.closest('[data-edit-key]');
+            if (editButton) {
+                this.editTitle(editButton.dataset.editKey);
+                return;
+            }
+            const button = e.target.closest('[data-preview-key]');
+            if (button) {
+                this.showPreview(button.dataset.previewKey);
+            }
+        });
+        this.previewTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.setPreviewMode(tab.dataset.previewMode));
+        });
+        document.getElementById('closePreviewBtn').addEventListener('click', () => this.hidePreview());
+        this.conversationList.addEventListener('change', (e) => {
+            if (e.target.dataset.key === undefined) return;
+            if (e.target.checked) {
+                this.deselectedKeys.delete(e.target.dataset.key);
+            } else {
+                this.deselectedKeys.add(e.target.dataset.key);
+            }
+            this.updateSelectionInfo();
+            this.updateOutputFileCount();
+        });
+
         // Convert button
         this.convertBtn.addEventListener('click', () => this.convert());
 
         // Reset button
         this.resetBtn.addEventListener('click', () => this.reset());
+        document.getElementById('clearFilesBtn').addEventListener('click', () => this.reset());
+        document.getElementById('downloadDiagnosticsBtn').addEventListener('click', () => this.downloadDiagnosticsReport());
+    }
+
+    async handleOptionChange(input) {
+        const name = input.dataset.option;
+        if (input.type === 'checkbox') {
+            this.options[name] = input.checked;
+        } else if (input.type === 'number') {
+            this.options[name] = Number(input.value);
+        } else if (name === 'timeZone' && !this.isValidTimeZone(input.value.trim())) {
+            this.showError(`不明なタイムゾーンです: ${input.value}`);
+            input.value = this.options.timeZone;
+            return;
+        } else {
+            this.options[name] = input.value.trim();
+        }
+
+        if (name === 'parser') {
+            this.fieldMappingEditor.classList.toggle('visible', input.value === 'mapping');
+        }
+        if (name === 'outputFormat') {
+            this.updateConvertButtonLabel();
+        }
+        await this.reparse();
+    }
+
+    /**
+     * カスタムマッピングの入力を保存し、マッピングで解析している場合は再解析
+     */
+    async handleFieldMappingChange() {
+        const mapping = {};
+        this.fieldMappingInputs.forEach(input => {
+            const value = input.value.trim();
+            if (value) mapping[input.dataset.mapping] = value;
+        });
+        this.options.fieldMapping = mapping;
+        this.saveFieldMapping();
+
+        if (this.options.parser === 'mapping') {
+            await this.reparse();
+        }
+    }
+
+    /**
+     * 読み込み済みのファイルを現在の設定で解析し直す
+     */
+    async reparse() {
+        if (this.sources.length > 0) {
+            try {
+                await this.runTask('reparse');
+            } catch (error) {
+                // 正しくない伏せ字の正規表現やマッピングなど。入力を残したまま、変換前に直せるよう通知する
+                this.showError(error.message);
+                return;
+            }
+            this.updateUI();
+            this.refreshPreview();
+        }
     }
 
     handleDragOver(e) {
@@ -83,635 +265,553 @@ class AIChatConverter {
         e.stopPropagation();
         this.dropZone.classList.remove('dragover');
 
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            this.processFile(files[0]);
-        }
+        this.processFiles(e.dataTransfer.files);
     }
 
     handleFileSelect(e) {
-        const files = e.target.files;
-        if (files.length > 0) {
-            this.processFile(files[0]);
+        this.processFiles([...e.target.files]);
+        e.target.value = '';
+    }
+
+    /**
+     * 選択されたファイルを順に読み込み、読み込み済みの会話に追加する
+     */
+    async processFiles(files) {
+        for (const file of files) {
+            await this.processFile(file);
         }
     }
 
     async processFile(file) {
-        if (!file.name.endsWith('.json')) {
-            this.showError('JSONファイルを選択してください');
+        const lowerName = file.name.toLowerCase();
+        const isZip = lowerName.endsWith('.zip');
+
+        if (!lowerName.endsWith('.json') && !isZip) {
+            this.showError(`${file.name}: JSONまたはZIPファイルを選択してください`);
             return;
         }
 
-        // ファイル名を保存（ソース検出に使用）
-        this.fileName = file.name;
-
+        const dropText = this.dropZone.querySelector('.drop-text');
         try {
-            const text = await file.text();
-            this.jsonData = JSON.parse(text);
-            this.parseConversations();
+            const { found } = await this.runTask('addFile', { file }, (phase, ratio) => {
+                dropText.textContent = `${file.name} を読み込み中... ${Math.round(ratio * 100)}%`;
+            });
+            if (!found) {
+                this.showError(`${file.name}: ZIP内に会話履歴のJSONファイルが見つかりませんでした`);
+                return;
+            }
+            this.loadedFiles.push(file);
             this.updateUI();
         } catch (error) {
             console.error('Error parsing JSON:', error);
-            this.showError('JSONファイルの解析に失敗しました');
+            this.showError(`${file.name}: ` +
+                (isZip ? 'ZIPファイルの解析に失敗しました' : 'JSONファイルの解析に失敗しました') + `（${error.message}）`);
         }
     }
 
-    parseConversations() {
-        this.conversations = [];
-        this.detectedSource = 'AI';
-
-        // ファイル名からソースを事前検出
-        this.detectSourceFromFileName();
-
-        // エクスポート形式を検出して解析
-        // Gemini マイアクティビティ形式: header に "Gemini" を含む配列
-        if (Array.isArray(this.jsonData) && this.jsonData.length > 0 &&
-            this.jsonData[0].header && this.jsonData[0].header.includes('Gemini')) {
-            this.detectedSource = 'Gemini';
-            this.parseGeminiActivityFormat(this.jsonData);
-        }
-        // ChatGPT形式: 配列の各要素にmappingプロパティがある
-        else if (Array.isArray(this.jsonData) && this.jsonData.length > 0 && this.jsonData[0].mapping) {
-            this.detectedSource = 'ChatGPT';
-            this.parseArrayFormat(this.jsonData);
-        }
-        // 形式1: 配列形式 (conversations array)
-        else if (Array.isArray(this.jsonData)) {
-            this.parseArrayFormat(this.jsonData);
-        }
-        // 形式2: オブジェクト形式 (conversations property)
-        else if (this.jsonData.conversations) {
-            this.parseArrayFormat(this.jsonData.conversations);
-        }
-        // 形式3: Google Takeout形式
-        else if (this.jsonData.chats || this.jsonData.history) {
-            this.detectedSource = 'Gemini';
-            this.parseTakeoutFormat(this.jsonData.chats || this.jsonData.history);
-        }
-        // 形式4: 単一の会話オブジェクト
-        else if (this.jsonData.messages || this.jsonData.content) {
-            this.parseSingleConversation(this.jsonData);
+    /**
+     * ユーザー定義のテンプレートを localStorage から読み込む
+     */
+    loadCustomTemplates() {
+        try {
+            const saved = localStorage.getItem('aiChatToMarkdown.templates');
+            this.customTemplates = saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('Error loading templates:', error);
+            this.customTemplates = {};
         }
-        // 形式5: Gemini API形式 (contents配列)
-        else if (this.jsonData.contents) {
-            this.detectedSource = 'Gemini';
-            this.parseApiFormat(this.jsonData);
+    }
+
+    saveCustomTemplates() {
+        try {
+            localStorage.setItem('aiChatToMarkdown.templates', JSON.stringify(this.customTemplates));
+        } catch (error) {
+            console.error('Error saving templates:', error);
+            this.showError('テンプレートを保存できませんでした');
         }
-        else {
-            // 汎用的な解析を試みる
-            this.parseGenericFormat(this.jsonData);
+    }
+
+    /**
+     * 保存したカスタムマッピングを localStorage から読み込む
+     */
+    loadFieldMapping() {
+        try {
+            const saved = localStorage.getItem('aiChatToMarkdown.fieldMapping');
+            this.options.fieldMapping = saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.error('Error loading field mapping:', error);
+            this.options.fieldMapping = null;
         }
+    }
 
-        // ChatGPTの mapping 形式を含む会話があれば ChatGPT と判定
-        if (this.detectedSource === 'AI' && this.conversations.some(c => c._isChatGPT)) {
-            this.detectedSource = 'ChatGPT';
+    saveFieldMapping() {
+        try {
+            localStorage.setItem('aiChatToMarkdown.fieldMapping', JSON.stringify(this.options.fieldMapping));
+        } catch (error) {
+            console.error('Error saving field mapping:', error);
+            this.showError('マッピングを保存できませんでした');
         }
     }
 
     /**
-     * ファイル名からソースを検出
+     * エクスポート形式の選択肢と、保存したマッピングの入力欄
      */
-    detectSourceFromFileName() {
-        if (!this.fileName) return;
+    renderParserOptions() {
+        const fragment = document.createDocumentFragment();
+        [['auto', '自動検出'], ...Object.entries(PARSER_LABELS)].forEach(([id, label]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            fragment.appendChild(option);
+        });
+        this.parserSelect.replaceChildren(fragment);
+        this.parserSelect.value = this.options.parser;
 
-        const lowerName = this.fileName.toLowerCase();
+        const mapping = this.options.fieldMapping || {};
+        this.fieldMappingInputs.forEach(input => {
+            input.value = mapping[input.dataset.mapping] || '';
+        });
+    }
 
-        // Geminiのファイル名パターン
-        const geminiPatterns = [
-            'myactivity.json',
-            'マイアクティビティ.json',
-            'my_activity.json',
-            'gemini'
-        ];
+    /**
+     * 出力形式の選択肢
+     */
+    renderOutputFormatOptions() {
+        const fragment = document.createDocumentFragment();
+        Object.entries(OUTPUT_FORMATS).forEach(([id, format]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = format.description ? `${format.label}（${format.description}）` : format.label;
+            fragment.appendChild(option);
+        });
+        this.outputFormatSelect.replaceChildren(fragment);
+        this.outputFormatSelect.value = this.options.outputFormat;
+        this.updateConvertButtonLabel();
+    }
+
+    updateConvertButtonLabel() {
+        this.convertBtn.querySelector('.btn-text').textContent = `${this.getOutputFormat().label}に変換してダウンロード`;
+    }
 
-        // ChatGPTのファイル名パターン
-        const chatgptPatterns = [
-            'conversations.json',
-            'chatgpt'
+    renderTemplateOptions() {
+        const fragment = document.createDocumentFragment();
+        const templates = [
+            ...Object.entries(TEMPLATE_PRESETS),
+            ...Object.entries(this.customTemplates)
         ];
 
-        // Geminiファイル名チェック
-        if (geminiPatterns.some(pattern => lowerName.includes(pattern.toLowerCase()))) {
-            this.detectedSource = 'Gemini';
-            return;
-        }
+        templates.forEach(([id, template]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = template.name || id;
+            fragment.appendChild(option);
+        });
 
-        // ChatGPTファイル名チェック
-        if (chatgptPatterns.some(pattern => lowerName.includes(pattern.toLowerCase()))) {
-            this.detectedSource = 'ChatGPT';
-            return;
-        }
+        this.templateSelect.replaceChildren(fragment);
+        this.templateSelect.value = this.options.template;
     }
 
-    parseArrayFormat(conversations) {
-        conversations.forEach((conv, index) => {
-            // ChatGPT: id がルートレベルにある場合を優先
-            // id がない場合は current_node や mapping から取得を試みる
-            let conversationId = conv.id || conv.conversation_id || conv.chat_id || conv.uuid;
+    toggleTemplateEditor() {
+        const visible = this.templateEditor.classList.toggle('visible');
+        if (!visible) return;
 
-            // ChatGPTの current_node を使用（参照スクリプトと同様）
-            if (!conversationId && conv.current_node) {
-                conversationId = conv.current_node;
-            }
+        // 現在のテンプレートをもとに編集を始める
+        this.templateDraft = { ...this.getTemplate() };
+        this.templateName.value = this.customTemplates[this.options.template] ? this.templateDraft.name : '';
+        this.templateText.value = this.templateDraft[this.templatePartSelect.value] || '';
+    }
 
-            // それでもなければ mapping から抽出
-            if (!conversationId && conv.mapping) {
-                conversationId = this.extractConversationIdFromMapping(conv.mapping);
-            }
+    saveTemplate() {
+        const name = this.templateName.value.trim();
+        if (!name) {
+            this.showError('テンプレート名を入力してください');
+            return;
+        }
 
-            const conversation = {
-                id: conversationId || `conversation_${index + 1}`,
-                title: conv.title || conv.name || `会話 ${index + 1}`,
-                createTime: this.parseTimestamp(conv.create_time || conv.created_at || conv.created || conv.timestamp),
-                updateTime: this.parseTimestamp(conv.update_time || conv.updated_at || conv.updated || conv.modified),
-                messages: []
-            };
-
-            // メッセージを解析
-            const messages = conv.messages || conv.mapping || conv.content || conv.history || [];
-
-            if (conv.mapping) {
-                // ChatGPT形式のマッピング構造（current_nodeを使用してメッセージチェーンを辿る）
-                conversation.messages = this.parseMapping(conv.mapping, conv.current_node);
-                conversation._isChatGPT = true;
-            } else if (Array.isArray(messages)) {
-                messages.forEach(msg => {
-                    const parsed = this.parseMessage(msg);
-                    if (parsed) {
-                        conversation.messages.push(parsed);
-                    }
-                });
-            }
+        const id = `custom:${name}`;
+        this.customTemplates[id] = { ...this.templateDraft, name };
+        this.saveCustomTemplates();
 
-            if (conversation.messages.length > 0 || conv.title) {
-                this.conversations.push(conversation);
-            }
-        });
+        this.options.template = id;
+        this.renderTemplateOptions();
+        this.updateOutputFileCount();
+        this.refreshPreview();
     }
 
-    /**
-     * ChatGPTのmapping構造から会話IDを抽出
-     * 最初のユーザーメッセージのIDを使用
-     */
-    extractConversationIdFromMapping(mapping) {
-        const nodeIds = Object.keys(mapping);
-
-        // 最初のユーザーメッセージを探す
-        for (const nodeId of nodeIds) {
-            const node = mapping[nodeId];
-            if (node.message &&
-                node.message.author &&
-                node.message.author.role === 'user' &&
-                node.message.content &&
-                node.message.content.content_type === 'text') {
-                return nodeId;
-            }
+    deleteTemplate() {
+        const id = this.options.template;
+        if (!this.customTemplates[id]) {
+            this.showError('プリセットのテンプレートは削除できません');
+            return;
         }
 
-        // ユーザーメッセージがなければ、client-created-root以外の最初のノードを使用
-        for (const nodeId of nodeIds) {
-            if (nodeId !== 'client-created-root' && !nodeId.startsWith('client-')) {
-                return nodeId;
-            }
-        }
+        delete this.customTemplates[id];
+        this.saveCustomTemplates();
 
-        return null;
+        this.options.template = 'default';
+        this.renderTemplateOptions();
+        this.templateEditor.classList.remove('visible');
+        this.refreshPreview();
     }
 
-    parseTakeoutFormat(chats) {
-        if (!Array.isArray(chats)) return;
-
-        chats.forEach((chat, index) => {
-            const conversation = {
-                id: chat.id || `chat_${index + 1}`,
-                title: chat.title || chat.name || `会話 ${index + 1}`,
-                createTime: this.parseTimestamp(chat.createTime || chat.created),
-                updateTime: this.parseTimestamp(chat.updateTime || chat.modified),
-                messages: []
-            };
-
-            const messages = chat.messages || chat.contents || chat.turns || [];
-            messages.forEach(msg => {
-                const parsed = this.parseMessage(msg);
-                if (parsed) {
-                    conversation.messages.push(parsed);
-                }
-            });
+    async processManifestFile(file) {
+        const isZip = file.name.toLowerCase().endsWith('.zip');
 
-            if (conversation.messages.length > 0) {
-                this.conversations.push(conversation);
-            }
-        });
+        try {
+            const count = await this.loadPreviousManifest(file.name, isZip ? file : await file.text());
+            this.manifestStatus.textContent = `${file.name}（${count}件の会話）`;
+        } catch (error) {
+            console.error('Error loading manifest:', error);
+            this.previousManifest = null;
+            this.manifestStatus.textContent = '未指定（すべて新規として出力）';
+            this.manifestInput.value = '';
+            this.showError('前回のマニフェストの読み込みに失敗しました');
+        }
     }
 
-    /**
-     * Gemini マイアクティビティ形式をパース
-     * 各エントリは個別のメッセージ（ユーザーの質問 + AIの回答がセット）
-     */
-    parseGeminiActivityFormat(activities) {
-        if (!Array.isArray(activities)) return;
-
-        // 各アクティビティを逆順（古い順）に処理し、会話としてグループ化
-        const sortedActivities = [...activities].reverse();
-
-        sortedActivities.forEach((activity, index) => {
-            // ユーザーのメッセージを抽出
-            let userMessage = '';
-            if (activity.title && activity.title.startsWith('送信したメッセージ:')) {
-                userMessage = activity.title.replace('送信したメッセージ:', '').trim();
-            } else if (activity.title) {
-                userMessage = activity.title;
-            }
+    updateUI() {
+        const totalMsgs = this.listItems.reduce(
+            (sum, item) => sum + item.messageCount, 0
+        );
 
-            // AI応答を抽出（HTMLからテキストを抽出）
-            let aiResponse = '';
-            if (activity.safeHtmlItem && activity.safeHtmlItem.length > 0) {
-                aiResponse = this.stripHtml(activity.safeHtmlItem[0].html || '');
-            }
+        // ソース表示（複数のソースが混在する場合は並べて表示）
+        const sources = [...new Set(this.listItems.map(item => item.source).filter(source => source !== 'AI'))];
+        const sourceText = sources.length > 0 ? ` (${sources.join('・')})` : '';
 
-            // タイムスタンプを抽出
-            const timestamp = activity.time ? new Date(activity.time) : null;
-
-            // 会話オブジェクトを作成
-            const conversation = {
-                id: `gemini_activity_${index + 1}`,
-                title: userMessage.substring(0, 50) + (userMessage.length > 50 ? '...' : '') || `会話 ${index + 1}`,
-                createTime: timestamp,
-                updateTime: timestamp,
-                messages: []
-            };
-
-            // ユーザーメッセージを追加
-            if (userMessage) {
-                conversation.messages.push({
-                    role: 'user',
-                    content: userMessage,
-                    timestamp: timestamp
-                });
-            }
+        this.dropZone.classList.add('has-file');
+        const mediaCount = this.worker ? this.mediaCount : this.mediaFiles.size;
+        const mediaText = mediaCount > 0 ? `・メディア${mediaCount}件` : '';
+        const duplicateText = this.duplicateCount > 0 ? `・重複${this.duplicateCount}件を除外` : '';
+        this.dropZone.querySelector('.drop-text').textContent =
+            `${this.listItems.length}件の会話を検出しました${sourceText}${mediaText}${duplicateText}`;
+        this.renderSourceFileList();
+        this.renderDiagnostics();
 
-            // AI応答を追加
-            if (aiResponse.trim()) {
-                conversation.messages.push({
-                    role: 'assistant',
-                    content: aiResponse.trim(),
-                    timestamp: timestamp
-                });
-            }
+        this.totalConversations.textContent = this.listItems.length;
+        this.totalMessages.textContent = totalMsgs;
+        this.updateOutputFileCount();
 
-            if (conversation.messages.length > 0) {
-                this.conversations.push(conversation);
-            }
-        });
+        this.statsSection.classList.add('visible');
+        this.browserSection.classList.add('visible');
+        this.actionSection.classList.add('visible');
+        this.refreshConversationList();
     }
 
     /**
-     * HTMLタグを除去してプレーンテキストを抽出
+     * 読み込んだファイルの一覧
      */
-    stripHtml(html) {
-        if (!html) return '';
-        // 基本的なHTMLタグの除去
-        return html
-            .replace(/<br\s*\/?>/gi, '\n')
-            .replace(/<p[^>]*>/gi, '\n')
-            .replace(/<\/p>/gi, '\n')
-            .replace(/<li[^>]*>/gi, '- ')
-            .replace(/<\/li>/gi, '\n')
-            .replace(/<h[1-6][^>]*>/gi, '\n### ')
-            .replace(/<\/h[1-6]>/gi, '\n')
-            .replace(/<hr\s*\/?>/gi, '\n---\n')
-            .replace(/<[^>]+>/g, '')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&amp;/g, '&')
-            .replace(/&quot;/g, '"')
-            .replace(/&#39;/g, "'")
-            .replace(/\n{3,}/g, '\n\n')
-            .trim();
-    }
-
-    parseSingleConversation(data) {
-        const conversation = {
-            id: data.id || 'conversation_1',
-            title: data.title || data.name || '会話',
-            createTime: this.parseTimestamp(data.create_time || data.created_at),
-            updateTime: this.parseTimestamp(data.update_time || data.updated_at),
-            messages: []
-        };
-
-        const messages = data.messages || data.content || data.history || [];
-        messages.forEach(msg => {
-            const parsed = this.parseMessage(msg);
-            if (parsed) {
-                conversation.messages.push(parsed);
-            }
+    renderSourceFileList() {
+        const fragment = document.createDocumentFragment();
+        this.sources.forEach(source => {
+            const item = document.createElement('li');
+            item.textContent = `${source.fileName} — ${source.conversationCount}件 (${this.getAILabel(source.detectedSource)})`;
+            fragment.appendChild(item);
         });
-
-        if (conversation.messages.length > 0) {
-            this.conversations.push(conversation);
-        }
+        this.sourceFileList.replaceChildren(fragment);
     }
 
-    parseApiFormat(data) {
-        // Gemini API形式: { contents: [{ role: "user", parts: [{ text: "..." }] }] }
-        const conversation = {
-            id: 'api_conversation_1',
-            title: '会話',
-            createTime: new Date(),
-            updateTime: new Date(),
-            messages: []
-        };
+    /**
+     * 診断情報（ファイルごとに選んだ形式と、出力しなかったデータの理由・件数）
+     */
+    renderDiagnostics() {
+        const categories = [
+            ['skippedConversations', '出力しなかった会話'],
+            ['skippedMessages', '出力しなかったメッセージ'],
+            ['unknownContentTypes', '未対応のコンテンツ形式'],
+            ['warnings', '注意']
+        ];
+        const totals = { skippedConversations: 0, skippedMessages: 0, unknownContentTypes: 0, warnings: 0 };
+        const fragment = document.createDocumentFragment();
+
+        this.sources.forEach(source => {
+            const diagnostics = source.diagnostics;
+            if (!diagnostics) return;
+
+            const block = document.createElement('div');
+            block.className = 'diagnostics-file';
+            const heading = document.createElement('h4');
+            heading.textContent = source.fileName;
+            const parser = document.createElement('p');
+            parser.textContent = `形式: ${PARSER_LABELS[diagnostics.parser] || '不明'}（${diagnostics.parserReason}）` +
+                ` / 会話${source.conversationCount}件・メッセージ${diagnostics.messageCount}件`;
+            block.append(heading, parser);
+
+            const list = document.createElement('ul');
+            categories.forEach(([category, label]) => {
+                Object.entries(diagnostics[category]).forEach(([reason, entry]) => {
+                    const item = document.createElement('li');
+                    item.textContent = `${label}: ${reason} — ${entry.count}件`;
+                    if (entry.samples.length > 0) item.title = entry.samples.join('\n');
+                    list.appendChild(item);
+                });
+            });
+            if (list.children.length > 0) block.appendChild(list);
+            fragment.appendChild(block);
 
-        data.contents.forEach((content, index) => {
-            const role = content.role || 'user';
-            const parts = content.parts || [];
-
-            parts.forEach(part => {
-                if (part.text) {
-                    conversation.messages.push({
-                        role: role === 'model' ? 'assistant' : role,
-                        content: part.text,
-                        timestamp: null
-                    });
-                }
+            Object.entries(this.getDiagnosticsTotals(diagnostics)).forEach(([category, count]) => {
+                totals[category] += count;
             });
         });
 
-        if (conversation.messages.length > 0) {
-            this.conversations.push(conversation);
-        }
-    }
+        this.diagnosticsContent.replaceChildren(fragment);
 
-    parseGenericFormat(data) {
-        // 汎用的な解析：オブジェクトのすべてのプロパティを走査
-        const findConversations = (obj, path = '') => {
-            if (!obj || typeof obj !== 'object') return;
-
-            if (Array.isArray(obj) && obj.length > 0) {
-                // 配列が会話のリストかチェック
-                const firstItem = obj[0];
-                if (firstItem && (firstItem.messages || firstItem.content || firstItem.parts || firstItem.role)) {
-                    this.parseArrayFormat(obj);
-                    return;
-                }
-            }
-
-            for (const key of Object.keys(obj)) {
-                const value = obj[key];
-                if (key.toLowerCase().includes('conversation') ||
-                    key.toLowerCase().includes('chat') ||
-                    key.toLowerCase().includes('message') ||
-                    key.toLowerCase().includes('history')) {
-                    if (Array.isArray(value)) {
-                        this.parseArrayFormat(value);
-                    }
-                }
-                findConversations(value, `${path}.${key}`);
-            }
-        };
-
-        findConversations(data);
+        const notes = [];
+        if (totals.skippedConversations > 0) notes.push(`会話${totals.skippedConversations}件`);
+        if (totals.skippedMessages > 0) notes.push(`メッセージ${totals.skippedMessages}件`);
+        let status = notes.length > 0 ? `${notes.join('・')}を出力しません` : 'すべてのデータを出力します';
+        if (totals.unknownContentTypes > 0) status += `・未対応の形式${totals.unknownContentTypes}件`;
+        if (totals.warnings > 0) status += `・注意${totals.warnings}件`;
+        this.diagnosticsStatus.textContent = `（${status}）`;
     }
 
-    parseMapping(mapping, currentNode = null) {
-        // ChatGPT形式のマッピング構造を解析
-        // 参照スクリプトと同様に current_node から親を辿って線形に再構築
-        const messages = [];
-
-        if (currentNode && mapping[currentNode]) {
-            // current_node から親を辿る方式
-            const chain = [];
-            const seen = new Set();
-            let current = currentNode;
-
-            while (current && mapping[current] && !seen.has(current)) {
-                seen.add(current);
-                const node = mapping[current];
-                const msg = node.message;
-
-                if (msg) {
-                    const author = msg.author?.role;
-                    const content = msg.content || {};
-                    const parts = content.parts || [];
-                    const text = parts.filter(p => typeof p === 'string').join('\n').trim();
-
-                    if ((author === 'user' || author === 'assistant') && text) {
-                        chain.push({
-                            role: author === 'assistant' ? 'assistant' : 'user',
-                            content: text,
-                            timestamp: this.parseTimestamp(msg.create_time)
-                        });
-                    }
-                }
-
-                current = node.parent;
-            }
+    /**
+     * 出力されるファイル数（トピック・索引ノートは本文から決まるため、会話を持つ側で数える）
+     * 選択や設定を続けて変えた場合は、最後の変更のあとに1回だけ数える
+     */
+    updateOutputFileCount() {
+        clearTimeout(this.countTimer);
+        this.countTimer = setTimeout(() => {
+            this.countTimer = null;
+            this.runTask('count')
+                .then(({ fileCount }) => {
+                    this.outputFiles.textContent = fileCount;
+                })
+                .catch(error => console.error('Error counting output files:', error));
+        }, 150);
+    }
 
-            // 親から辿ったので逆順にする
-            chain.reverse();
-            return chain;
+    /**
+     * 検索語・期間で絞り込んで会話一覧を描画し直す（本文の検索は会話を持つ側で行う）
+     */
+    async refreshConversationList() {
+        const request = ++this.filterRequest;
+        let keys;
+        try {
+            ({ keys } = await this.runTask('filter', { filters: this.filters }));
+        } catch (error) {
+            console.error('Error filtering conversations:', error);
+            return;
         }
+        // 入力中に新しい検索が始まっていれば古い結果は使わない
+        if (request !== this.filterRequest) return;
 
-        // current_node がない場合は従来のソート方式
-        const nodeIds = Object.keys(mapping);
-
-        // メッセージをソート
-        const sortedNodes = nodeIds
-            .map(id => ({ id, ...mapping[id] }))
-            .filter(node => node.message && node.message.content)
-            .sort((a, b) => {
-                const timeA = a.message.create_time || 0;
-                const timeB = b.message.create_time || 0;
-                return timeA - timeB;
-            });
-
-        sortedNodes.forEach(node => {
-            const msg = node.message;
-            if (msg.author && msg.content) {
-                const role = msg.author.role || 'user';
-                let content = '';
+        const items = new Map(this.listItems.map(item => [item._key, item]));
+        this.filteredItems = keys.map(key => items.get(key)).filter(Boolean);
+        this.renderConversationList();
+    }
 
-                if (msg.content.parts) {
-                    content = msg.content.parts.filter(p => typeof p === 'string').join('\n');
-                } else if (typeof msg.content === 'string') {
-                    content = msg.content;
-                }
+    handleFilterChange() {
+        this.filters = {
+            query: this.searchInput.value,
+            titleOnly: this.titleOnlyFilter.checked,
+            from: this.dateFrom.value,
+            to: this.dateTo.value
+        };
+        this.listLimit = 200;
+        this.refreshConversationList();
+    }
 
-                if (content.trim() && role !== 'system') {
-                    messages.push({
-                        role: role === 'assistant' || role === 'model' ? 'assistant' : role,
-                        content: content.trim(),
-                        timestamp: this.parseTimestamp(msg.create_time)
-                    });
-                }
+    setVisibleSelection(selected) {
+        this.filteredItems.forEach(item => {
+            if (selected) {
+                this.deselectedKeys.delete(item._key);
+            } else {
+                this.deselectedKeys.add(item._key);
             }
         });
-
-        return messages;
+        this.renderConversationList();
+        this.updateOutputFileCount();
     }
 
-    parseMessage(msg) {
-        if (!msg) return null;
-
-        let role = '';
-        let content = '';
-        let timestamp = null;
-
-        // ロールの取得
-        if (msg.role) {
-            role = msg.role;
-        } else if (msg.author) {
-            role = typeof msg.author === 'string' ? msg.author : msg.author.role || 'user';
-        } else if (msg.sender) {
-            role = msg.sender;
-        } else if (msg.from) {
-            role = msg.from;
-        }
+    /**
+     * 会話一覧を描画（件数が多い場合は listLimit 件ずつ表示）
+     */
+    renderConversationList() {
+        const filtered = this.filteredItems;
+        const fragment = document.createDocumentFragment();
+
+        filtered.slice(0, this.listLimit).forEach(conv => {
+            const item = document.createElement('li');
+            item.className = 'conversation-item';
+            item.classList.toggle('active', conv._key === this.previewKey);
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.key = conv._key;
+            checkbox.checked = this.isSelected(conv);
+            checkbox.setAttribute('aria-label', '出力対象に含める');
+
+            // クリックでプレビューを表示
+            const info = document.createElement('button');
+            info.type = 'button';
+            info.className = 'conversation-info';
+            info.dataset.previewKey = conv._key;
+            const title = document.createElement('span');
+            title.className = 'conversation-title';
+            title.textContent = conv.title || '会話';
+            const meta = document.createElement('span');
+            meta.className = 'conversation-meta';
+            const date = conv.createTime || conv.updateTime;
+            meta.textContent = [
+                date ? this.formatDate(date) : '日時不明',
+                `${conv.messageCount}件`,
+                this.getAILabel(conv.source)
+            ].join(' · ');
+
+            info.append(title, meta);
+
+            // タイトルの変更（出力の見出しとファイル名に使う）
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'conversation-edit';
+            edit.dataset.editKey = conv._key;
+            edit.textContent = '✏️';
+            edit.title = 'タイトルを変更';
+            edit.setAttribute('aria-label', 'タイトルを変更');
+
+            item.append(checkbox, info, edit);
+            fragment.appendChild(item);
+        });
 
-        // ロールの正規化
-        role = role.toLowerCase();
-        if (role === 'model' || role === 'gemini' || role === 'ai' || role === 'bot') {
-            role = 'assistant';
-        } else if (role === 'human') {
-            role = 'user';
-        }
+        this.conversationList.replaceChildren(fragment);
+        this.showMoreBtn.classList.toggle('visible', filtered.length > this.listLimit);
+        this.updateSelectionInfo(filtered.length);
+    }
 
-        // コンテンツの取得
-        if (msg.content) {
-            if (typeof msg.content === 'string') {
-                content = msg.content;
-            } else if (msg.content.parts) {
-                content = msg.content.parts
-                    .filter(p => typeof p === 'string' || p.text)
-                    .map(p => typeof p === 'string' ? p : p.text)
-                    .join('\n');
-            } else if (msg.content.text) {
-                content = msg.content.text;
+    /**
+     * 会話一覧でタイトルを編集（Enter・フォーカスを外すと確定、Escで取り消し。空にすると元のタイトルに戻す）
+     */
+    editTitle(key) {
+        const conv = this.listItems.find(item => item._key === key);
+        const info = this.conversationList.querySelector(`[data-preview-key="${CSS.escape(key)}"]`);
+        if (!conv || !info) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'conversation-title-input';
+        input.value = conv.title || '';
+        input.placeholder = conv._parsedTitle || '会話';
+        input.setAttribute('aria-label', 'タイトル');
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            if (save) {
+                this.renameConversation(key, input.value);
+                this.refreshConversationList();
+            } else {
+                this.renderConversationList();
             }
-        } else if (msg.parts) {
-            content = msg.parts
-                .filter(p => p.text || typeof p === 'string')
-                .map(p => p.text || p)
-                .join('\n');
-        } else if (msg.text) {
-            content = msg.text;
-        } else if (msg.message) {
-            content = typeof msg.message === 'string' ? msg.message : JSON.stringify(msg.message);
-        }
-
-        // タイムスタンプの取得
-        timestamp = this.parseTimestamp(
-            msg.create_time || msg.created_at || msg.timestamp || msg.time || msg.date
-        );
+        };
+        input.addEventListener('keydown', (e) => {
+            // 日本語入力の変換確定のEnterでは確定しない
+            if (e.key === 'Enter' && !e.isComposing) finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
 
-        if (!content.trim()) return null;
+        info.replaceWith(input);
+        input.focus();
+        input.select();
+    }
 
-        return {
-            role: role || 'user',
-            content: content.trim(),
-            timestamp: timestamp
-        };
+    /**
+     * 一覧の項目のタイトルを変更（会話への反映は titleOverrides としてタスクごとに行う）
+     */
+    renameConversation(key, title) {
+        this.setConversationTitle(key, title, this.listItems);
+        this.updateOutputFileCount();
+        if (this.previewKey === key) this.refreshPreview();
     }
 
-    parseTimestamp(value) {
-        if (!value) return null;
+    /**
+     * 会話のMarkdownをプレビュー表示（現在の出力形式・オプションを反映）
+     */
+    showPreview(key) {
+        this.previewKey = key;
+        this.conversationList.querySelectorAll('.conversation-item').forEach(item => {
+            const button = item.querySelector('[data-preview-key]');
+            item.classList.toggle('active', button.dataset.previewKey === key);
+        });
+        this.refreshPreview();
+    }
 
-        if (value instanceof Date) return value;
+    /**
+     * プレビューする会話だけを、会話を持つ側でMarkdownにして受け取る
+     */
+    async refreshPreview() {
+        const key = this.previewKey;
+        if (key === null) return;
 
-        // Unix timestamp (seconds)
-        if (typeof value === 'number') {
-            // 10桁ならseconds、13桁ならmilliseconds
-            const ts = value > 9999999999 ? value : value * 1000;
-            return new Date(ts);
+        let preview;
+        try {
+            preview = await this.runTask('preview', { key });
+        } catch (error) {
+            console.error('Error rendering preview:', error);
+            return;
         }
-
-        // ISO文字列
-        if (typeof value === 'string') {
-            const date = new Date(value);
-            if (!isNaN(date.getTime())) {
-                return date;
-            }
+        if (key !== this.previewKey) return;
+        if (preview.markdown === undefined) {
+            this.hidePreview();
+            return;
         }
 
-        return null;
+        this.previewTitle.textContent = preview.title;
+        this.previewRaw.textContent = preview.markdown;
+        this.previewRendered.innerHTML = this.markdownToHtml(preview.markdown);
+        this.previewSection.classList.add('visible');
+        this.setPreviewMode(this.previewMode);
     }
 
-    updateUI() {
-        const totalMsgs = this.conversations.reduce(
-            (sum, conv) => sum + conv.messages.length, 0
-        );
-
-        // ソース表示
-        const sourceText = this.detectedSource !== 'AI' ? ` (${this.detectedSource})` : '';
-
-        this.dropZone.classList.add('has-file');
-        this.dropZone.querySelector('.drop-text').textContent =
-            `${this.conversations.length}件の会話を検出しました${sourceText}`;
-
-        this.totalConversations.textContent = this.conversations.length;
-        this.totalMessages.textContent = totalMsgs;
-        this.updateOutputFileCount();
-
-        this.statsSection.classList.add('visible');
-        this.actionSection.classList.add('visible');
-        this.convertBtn.disabled = this.conversations.length === 0;
-    }
-
-    updateOutputFileCount() {
-        let count = 0;
-
-        switch (this.exportType) {
-            case 'per_chat':
-                count = this.conversations.length;
-                break;
-            case 'per_month':
-                count = this.getUniqueMonths().size;
-                break;
-            case 'per_year':
-                count = this.getUniqueYears().size;
-                break;
-        }
-
-        this.outputFiles.textContent = count;
+    setPreviewMode(mode) {
+        this.previewMode = mode;
+        this.previewTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.previewMode === mode));
+        this.previewRaw.classList.toggle('visible', mode === 'raw');
+        this.previewRendered.classList.toggle('visible', mode === 'rendered');
     }
 
-    getUniqueMonths() {
-        const months = new Set();
-        this.conversations.forEach(conv => {
-            const date = conv.createTime || conv.updateTime || new Date();
-            const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-            months.add(key);
-        });
-        return months;
+    hidePreview() {
+        this.previewKey = null;
+        this.previewSection.classList.remove('visible');
+        this.conversationList.querySelectorAll('.conversation-item.active')
+            .forEach(item => item.classList.remove('active'));
     }
 
-    getUniqueYears() {
-        const years = new Set();
-        this.conversations.forEach(conv => {
-            const date = conv.createTime || conv.updateTime || new Date();
-            years.add(date.getFullYear().toString());
-        });
-        return years;
+    updateSelectionInfo(visibleCount = this.filteredItems.length) {
+        const selectedCount = this.listItems.filter(item => this.isSelected(item)).length;
+        this.selectionCount.textContent =
+            `${selectedCount} / ${this.listItems.length}件を選択中（表示: ${visibleCount}件）`;
+        this.convertBtn.disabled = selectedCount === 0;
     }
 
     async convert() {
         this.progressSection.classList.add('visible');
         this.actionSection.classList.remove('visible');
+        this.setProgress(0, '変換中...');
 
-        const files = this.generateMarkdownFiles();
-
-        // 進捗表示
-        for (let i = 0; i < 100; i += 10) {
-            this.progressFill.style.width = `${i}%`;
-            this.progressText.textContent = `変換中... ${i}%`;
-            await this.sleep(50);
+        let result;
+        try {
+            // 進捗: ファイルの生成で0〜50%、ZIPの作成で50〜100%
+            result = await this.runTask('export', {}, (phase, ratio) => {
+                if (phase === 'markdown') {
+                    this.setProgress(ratio * 50, `${this.getOutputFormat().label}を生成中...`);
+                } else {
+                    this.setProgress(50 + ratio * 50, 'ZIPを作成中...');
+                }
+            });
+        } catch (error) {
+            console.error('Error converting:', error);
+            this.progressSection.classList.remove('visible');
+            this.actionSection.classList.add('visible');
+            this.showError('変換に失敗しました');
+            return;
         }
 
-        // ダウンロード
-        if (files.length === 1) {
-            this.downloadSingleFile(files[0]);
+        if (result.file) {
+            this.downloadSingleFile(result.file);
         } else {
-            await this.downloadAsZip(files);
+            this.downloadBlob(result.zip, `${this.getFilePrefix()}_conversations.zip`);
         }
 
         this.progressFill.style.width = '100%';
@@ -721,318 +821,189 @@ class AIChatConverter {
 
         this.progressSection.classList.remove('visible');
         this.resultSection.classList.add('visible');
-        this.resultText.textContent = `${files.length}個のファイルをダウンロードしました。`;
+        this.resultText.textContent = this.exportType === 'per_chat' && this.options.incremental
+            ? `新規・更新された${result.markdownCount}件の会話とマニフェストをダウンロードしました。`
+            : `${result.fileCount}個のファイルをダウンロードしました。`;
     }
 
-    generateMarkdownFiles() {
-        const files = [];
-        const prefix = this.detectedSource === 'ChatGPT' ? 'chatgpt' :
-            this.detectedSource === 'Gemini' ? 'gemini' : 'ai_chat';
-
-        switch (this.exportType) {
-            case 'per_chat':
-                const usedFilenames = new Set();
-                this.conversations.forEach((conv, index) => {
-                    // より適切なファイル名を生成 (重複チェック付き)
-                    const filename = this.generateFilename(conv, index, prefix, usedFilenames) + '.md';
-                    const content = this.conversationToMarkdown(conv);
-                    files.push({ filename, content });
-                });
-                break;
-
-            case 'per_month':
-                const byMonth = this.groupByMonth();
-                byMonth.forEach((convs, monthKey) => {
-                    const filename = `${prefix}_${monthKey}.md`;
-                    const content = this.multiConversationsToMarkdown(convs, monthKey);
-                    files.push({ filename, content });
-                });
-                break;
-
-            case 'per_year':
-                const byYear = this.groupByYear();
-                byYear.forEach((convs, year) => {
-                    const filename = `${prefix}_${year}.md`;
-                    const content = this.multiConversationsToMarkdown(convs, year);
-                    files.push({ filename, content });
-                });
-                break;
+    /**
+     * 診断レポートをダウンロード（会話の本文を持つWorker側で作成する）
+     */
+    async downloadDiagnosticsReport() {
+        let result;
+        try {
+            result = await this.runTask('diagnostics');
+        } catch (error) {
+            console.error('Error creating diagnostics report:', error);
+            this.showError('診断レポートの作成に失敗しました');
+            return;
         }
-
-        return files;
-    }
-
-    groupByMonth() {
-        const groups = new Map();
-
-        this.conversations.forEach(conv => {
-            const date = conv.createTime || conv.updateTime || new Date();
-            const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-
-            if (!groups.has(key)) {
-                groups.set(key, []);
-            }
-            groups.get(key).push(conv);
-        });
-
-        // 日付でソート
-        return new Map([...groups.entries()].sort());
+        this.downloadSingleFile({ filename: DIAGNOSTICS_REPORT_FILENAME, content: result.content });
     }
 
-    groupByYear() {
-        const groups = new Map();
-
-        this.conversations.forEach(conv => {
-            const date = conv.createTime || conv.updateTime || new Date();
-            const key = date.getFullYear().toString();
-
-            if (!groups.has(key)) {
-                groups.set(key, []);
-            }
-            groups.get(key).push(conv);
-        });
-
-        return new Map([...groups.entries()].sort());
+    setProgress(percent, text) {
+        const rounded = Math.round(percent);
+        this.progressFill.style.width = `${rounded}%`;
+        this.progressText.textContent = `${text} ${rounded}%`;
     }
 
-    conversationToMarkdown(conv) {
-        let md = '';
-        const aiLabel = this.getAILabel();
-        const sourcePrefix = this.detectedSource.toLowerCase();
-
-        // YAMLフロントマター
-        md += '---\n';
-        md += `title: "${(conv.title || '会話').replace(/"/g, '\\"')}"\n`;
-        md += `${sourcePrefix}_conversation_id: "${conv.id}"\n`;
-        if (conv.createTime) {
-            md += `created_utc: ${this.formatISODate(conv.createTime)}\n`;
-        }
-        if (conv.updateTime) {
-            md += `updated_utc: ${this.formatISODate(conv.updateTime)}\n`;
-        }
-        md += '---\n\n';
-
-        // タイトル
-        md += `# ${conv.title || '会話'}\n\n`;
-
-        // メタデータ（日時情報）
-        if (conv.createTime) {
-            md += `- Created (UTC): ${this.formatISODate(conv.createTime)}\n`;
-        }
-        if (conv.updateTime) {
-            md += `- Updated (UTC): ${this.formatISODate(conv.updateTime)}\n`;
-        }
-        if (conv.createTime || conv.updateTime) {
-            md += '\n';
+    /**
+     * Web Workerを作成（file:// で開いた場合など、使えなければ null）
+     */
+    createWorker() {
+        if (typeof Worker === 'undefined') return null;
+        try {
+            const worker = new Worker('converter-worker.js');
+            worker.addEventListener('message', (e) => this.handleWorkerMessage(e.data));
+            worker.addEventListener('error', (e) => {
+                // 読み込み時（JSZipを取得できないなど）のエラーはタスクがなくても Worker を使わないようにする
+                e.preventDefault();
+                this.failWorkerTasks(new Error(e.message || 'Web Workerを読み込めませんでした'));
+                this.stopWorker();
+            });
+            return worker;
+        } catch (error) {
+            console.warn('Web Worker is unavailable:', error);
+            return null;
         }
-
-        md += '---\n\n';
-
-        // メッセージ
-        conv.messages.forEach(msg => {
-            const roleLabel = msg.role === 'user' ? 'User' : 'Assistant';
-            md += `## ${roleLabel}\n`;
-
-            // メッセージのタイムスタンプ
-            if (msg.timestamp) {
-                md += `*Time (UTC): ${this.formatISODate(msg.timestamp)}*\n`;
-            }
-            md += '\n';
-            md += `${msg.content}\n\n`;
-        });
-
-        return md;
     }
 
     /**
-     * ISO8601形式で日時をフォーマット
+     * 解析・変換のタスクを実行
+     * Workerがあれば現在の設定を渡して実行し、結果（会話の一覧など）を受け取る
      */
-    formatISODate(date) {
-        if (!date) return '';
-        if (!(date instanceof Date)) {
-            date = new Date(date);
+    async runTask(type, payload = {}, onProgress = () => {}) {
+        if (this.worker) {
+            try {
+                const result = await this.postWorkerTask(type, payload, onProgress);
+                if (result && result.conversations) {
+                    this.applySessionSummary(result);
+                }
+                return result || {};
+            } catch (error) {
+                if (!error.workerFailed) throw error;
+                // Workerが起動できなかった場合はメインスレッドで処理する
+                console.warn('Falling back to the main thread:', error);
+                this.stopWorker();
+            }
         }
-        return date.toISOString();
-    }
 
-    getAILabel() {
-        switch (this.detectedSource) {
-            case 'ChatGPT':
-                return 'ChatGPT';
-            case 'Gemini':
-                return 'Gemini';
-            default:
-                return 'AI';
+        // Workerで読み込んだファイルはメインスレッドに内容がないため読み込み直す
+        if (this.sources.some(source => !source.jsonData)) {
+            await this.reloadFiles();
         }
-    }
+        this.applyTitleOverrides();
 
-    multiConversationsToMarkdown(conversations, periodKey) {
-        const sourceLabel = this.detectedSource !== 'AI' ? this.detectedSource : 'AI Chat';
-
-        let md = `# ${sourceLabel} 会話履歴 - ${periodKey}\n\n`;
-        md += `**会話数**: ${conversations.length}\n\n`;
-        md += '---\n\n';
-
-        conversations.forEach((conv, index) => {
-            md += `## ${index + 1}. ${conv.title || '会話'}\n\n`;
-
-            // ID情報
-            if (conv.id && !conv.id.startsWith('conversation_')) {
-                const sourcePrefix = this.detectedSource.toLowerCase();
-                md += `- ${sourcePrefix}_conversation_id: ${conv.id}\n`;
-            }
-
-            // 日時情報
-            if (conv.createTime) {
-                md += `- Created (UTC): ${this.formatISODate(conv.createTime)}\n`;
+        switch (type) {
+            case 'addFile': {
+                const found = await this.addFile(payload.file.name, payload.file, ratio => onProgress('load', ratio));
+                this.listItems = this.getConversationSummaries();
+                return { found };
             }
-            if (conv.updateTime) {
-                md += `- Updated (UTC): ${this.formatISODate(conv.updateTime)}\n`;
-            }
-            if (conv.id || conv.createTime || conv.updateTime) {
-                md += '\n';
-            }
-
-            conv.messages.forEach(msg => {
-                const roleLabel = msg.role === 'user' ? 'User' : 'Assistant';
-                md += `### ${roleLabel}\n`;
+            case 'reparse':
+                this.parseConversations();
+                this.listItems = this.getConversationSummaries();
+                return {};
+            case 'filter':
+                return { keys: this.filterConversations(payload.filters).map(conv => conv._key) };
+            case 'preview':
+                return this.getPreview(payload.key) || {};
+            case 'count':
+                return { fileCount: this.getOutputFileCount() };
+            case 'diagnostics':
+                return { content: this.getDiagnosticsReport() };
+            case 'export':
+                return this.exportFiles(onProgress);
+            default:
+                return {};
+        }
+    }
 
-                // メッセージのタイムスタンプ
-                if (msg.timestamp) {
-                    md += `*Time (UTC): ${this.formatISODate(msg.timestamp)}*\n`;
-                }
-                md += '\n';
-                md += `${msg.content}\n\n`;
-            });
+    postWorkerTask(type, payload, onProgress) {
+        const id = this.nextTaskId++;
+        const state = {
+            options: this.options,
+            exportType: this.exportType,
+            deselectedKeys: this.deselectedKeys,
+            titleOverrides: this.titleOverrides,
+            previousManifest: this.previousManifest,
+            customTemplates: this.customTemplates
+        };
 
-            md += '---\n\n';
+        return new Promise((resolve, reject) => {
+            this.workerTasks.set(id, { resolve, reject, onProgress });
+            this.worker.postMessage({ id, type, state, ...payload });
         });
-
-        return md;
     }
 
-    sanitizeFilename(name) {
-        // Windowsの予約語リスト (大文字・小文字を区別しないコンテキストで考慮)
-        const reservedNames = [
-            'CON', 'PRN', 'AUX', 'NUL',
-            'COM1', 'COM2', 'COM3', 'COM4', 'COM5', 'COM6', 'COM7', 'COM8', 'COM9',
-            'LPT1', 'LPT2', 'LPT3', 'LPT4', 'LPT5', 'LPT6', 'LPT7', 'LPT8', 'LPT9'
-        ];
-
-        let sanitized = name
-            .replace(/[\\/:*?"<>|]/g, '_')
-            .replace(/\s+/g, '_') // スペースをアンダースコアに置換
-            .replace(/^_+|_+$/g, ''); // 先頭と末尾のアンダースコアを削除
-
-        // サロゲートペアを考慮して50文字（約150バイト）で切り詰める
-        // NOTE: Macのファイルシステム制限(255バイト)を回避するため安全マージンを取る
-        sanitized = [...sanitized].slice(0, 50).join('');
+    handleWorkerMessage({ id, type, result, message, phase, ratio }) {
+        const task = this.workerTasks.get(id);
+        if (!task) return;
 
-        // 空になった場合のフォールバック
-        if (!sanitized) {
-            sanitized = 'untitled';
+        if (type === 'progress') {
+            task.onProgress(phase, ratio);
+            return;
         }
 
-        // 予約語チェック（完全一致する場合）
-        if (reservedNames.includes(sanitized.toUpperCase())) {
-            sanitized = `_${sanitized}_`;
+        this.workerTasks.delete(id);
+        if (type === 'done') {
+            task.resolve(result);
+        } else {
+            task.reject(new Error(message));
         }
+    }
 
-        // 末尾がドットで終わる場合もWindowsで問題になることがあるので削除
-        if (sanitized.endsWith('.')) {
-            sanitized = sanitized.slice(0, -1);
-        }
+    failWorkerTasks(error) {
+        error.workerFailed = true;
+        this.workerTasks.forEach(task => task.reject(error));
+        this.workerTasks.clear();
+    }
 
-        return sanitized;
+    stopWorker() {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
     }
 
     /**
-     * 適切なファイル名を生成
-     * UUID形式のタイトルの場合は日時ベースやプレフィックス付きの名前にフォールバック
-     */
-    /**
-     * 適切なファイル名を生成
-     * 重複がある場合は連番を付与
+     * 読み込んだファイルをメインスレッドで読み込み直す
      */
-    generateFilename(conv, index, prefix, usedFilenames) {
-        let baseName = '';
-        const title = conv.title;
-
-        // UUIDパターンを検出
-        const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-
-        // タイトルが有効かチェック
-        const isValidTitle = title &&
-            title.trim() !== '' &&
-            !uuidPattern.test(title) &&
-            title !== `会話 ${index + 1}`;
-
-        if (isValidTitle) {
-            baseName = this.sanitizeFilename(title);
-        } else if (conv.createTime) {
-            // 日時ベース
-            const date = conv.createTime;
-            const dateStr = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
-            const timeStr = `${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}`;
-            baseName = `${prefix}_${dateStr}_${timeStr}`;
-        } else {
-            // フォールバック
-            baseName = `${prefix}_conversation`;
+    async reloadFiles() {
+        this.sources = [];
+        this.mediaFiles = new Map();
+        for (const file of this.loadedFiles) {
+            await this.addFile(file.name, file);
         }
-
-        // 重複チェックと連番付与
-        let finalName = baseName;
-        let counter = 1;
-
-        while (usedFilenames && usedFilenames.has(finalName)) {
-            finalName = `${baseName}_(${counter})`;
-            counter++;
-        }
-
-        if (usedFilenames) {
-            usedFilenames.add(finalName);
-        }
-
-        return finalName;
     }
 
-    formatDate(date) {
-        if (!date) return '';
-        return date.toLocaleString('ja-JP', {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+    /**
+     * Workerで解析した結果を反映
+     */
+    applySessionSummary(summary) {
+        this.listItems = summary.conversations;
+        this.sources = summary.sources;
+        this.duplicateCount = summary.duplicateCount;
+        this.detectedSource = summary.detectedSource;
+        this.mediaCount = summary.mediaCount;
     }
 
     downloadSingleFile(file) {
-        const blob = new Blob([file.content], { type: 'text/markdown;charset=utf-8' });
+        const blob = new Blob([file.content], { type: this.getMimeType(file.filename) });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = file.filename;
+        a.download = file.filename.split('/').pop();
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
     }
 
-    async downloadAsZip(files) {
-        const zip = new JSZip();
-        const prefix = this.detectedSource === 'ChatGPT' ? 'chatgpt' :
-            this.detectedSource === 'Gemini' ? 'gemini' : 'ai_chat';
-
-        files.forEach(file => {
-            zip.file(file.filename, file.content);
-        });
-
-        const blob = await zip.generateAsync({ type: 'blob' });
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${prefix}_conversations.zip`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -1041,12 +1012,34 @@ class AIChatConverter {
 
     reset() {
         this.jsonData = null;
+        this.sources = [];
         this.conversations = [];
+        this.listItems = [];
+        this.filteredItems = [];
+        this.filterRequest++;
+        clearTimeout(this.countTimer);
+        this.duplicateCount = 0;
+        this.mediaFiles = new Map();
+        this.mediaCount = 0;
+        this.loadedFiles = [];
+        if (this.worker) {
+            this.runTask('reset').catch(error => console.error('Error resetting worker:', error));
+        }
+        this.deselectedKeys = new Set();
+        this.titleOverrides = new Map();
+        this.searchInput.value = '';
+        this.titleOnlyFilter.checked = false;
+        this.dateFrom.value = '';
+        this.dateTo.value = '';
+        this.filters = { query: '', titleOnly: false, from: '', to: '' };
+        this.conversationList.replaceChildren();
+        this.hidePreview();
 
         this.dropZone.classList.remove('has-file');
-        this.dropZone.querySelector('.drop-text').textContent = 'JSONファイルをドラッグ＆ドロップ';
+        this.dropZone.querySelector('.drop-text').textContent = 'JSON / ZIPファイルをドラッグ＆ドロップ';
 
         this.statsSection.classList.remove('visible');
+        this.browserSection.classList.remove('visible');
         this.actionSection.classList.remove('visible');
         this.resultSection.classList.remove('visible');
 
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/**
+ * AI Chat to Markdown Converter - コマンドライン版
+ * ブラウザ版と同じ変換コア（converter-core.js）を使い、エクスポートをMarkdown（またはHTML・JSONL）ファイルに変換する
+ * ZIPの読み込みには JSZip を使う（npm install で入る）
+ *
+ * 使い方:
+ *   node cli.js <export.json|export.zip> [<export2.json|export2.zip> ...] [--out <dir>]
+ *               [--mode per_chat|per_day|per_week|per_month|per_year|per_project|per_topic|single]
+ *               [--source auto|chatgpt|gemini|claude] [--set <option>=<value> ...]
+ *               [--incremental [--manifest <ai-chat-manifest.json|previous.zip>]]
+ *               [--template default|obsidian|minimal|<template.json>] [--diagnostics <report.md>]
+ *               [--format auto|chatgpt|gemini_activity|takeout|api|generic|...] [--mapping <mapping.json>]
+ *               [--output-format markdown|html|print|jsonl]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ChatConverterCore, MANIFEST_FILENAME, PARSER_LABELS, OUTPUT_FORMATS, TEMPLATE_PRESETS, EXPORT_TYPES
+} = require('./converter-core');
+
+const SOURCE_LABELS = {
+    chatgpt: 'ChatGPT',
+    gemini: 'Gemini',
+    claude: 'Claude',
+    ai: 'AI'
+};
+
+const USAGE = `使い方: node cli.js <export.json|export.zip> [<追加のファイル> ...] [オプション]
+  複数のファイルを指定すると、重複する会話を除いてまとめて出力します
+
+オプション:
+  --out <dir>              出力先ディレクトリ（既定: ./markdown）
+  --mode <type>            ${EXPORT_TYPES.join(' | ')}（既定: per_chat）
+  --output-format <name>   ${Object.keys(OUTPUT_FORMATS).join(' | ')}（既定: markdown。print は印刷用HTML）
+  --source <name>          auto | chatgpt | gemini | claude（既定: auto = ファイルごとに自動検出）
+  --set <option>=<value>   変換オプションを指定（例: --set branchMode=variants、--set timeZone=Asia/Tokyo、
+                           --set "dateFormat=YYYY-MM-DD HH:mm"、--set folderLayout=YYYY/MM、
+                           --set redact=true、--set redactWords=社名,顧客名、
+                           --set vault=obsidian、--set vaultTagIndex=true、--set keywordTags=5、--set topicCount=20）
+  --format <name>          エクスポート形式を指定（既定: auto = 自動検出）
+                           ${Object.keys(PARSER_LABELS).join(' | ')}
+  --mapping <file>         カスタムマッピングのJSONファイル（--format mapping を指定したことになる）
+                           例: {"conversations": "$.sessions[*]", "messages": "events[*]",
+                                "role": "speaker", "content": "body.text", "timestamp": "ts"}
+  --template <name|file>   出力テンプレート（default | obsidian | minimal、またはテンプレートのJSONファイル）
+  --incremental            新規・更新された会話のみ出力（per_chat のみ）
+  --manifest <file>        前回のマニフェストまたは前回出力したZIP
+                           （既定: 出力先の ${MANIFEST_FILENAME}）
+  --diagnostics <file>     診断レポート（選んだ形式・出力しなかったデータとその理由）をMarkdownで保存
+  -h, --help               このヘルプを表示`;
+
+/**
+ * コマンドライン引数を解析
+ */
+function parseArgs(argv) {
+    const args = {
+        inputs: [], out: 'markdown', mode: 'per_chat', source: 'auto', manifest: null, template: null,
+        diagnostics: null, mapping: null, options: {}
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} には値が必要です`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            case '--out':
+                args.out = next();
+                break;
+            case '--mode':
+                args.mode = next();
+                break;
+            case '--source':
+                args.source = next().toLowerCase();
+                break;
+            case '--template':
+                args.template = next();
+                break;
+            case '--incremental':
+                args.options.incremental = true;
+                break;
+            case '--manifest':
+                args.manifest = next();
+                break;
+            case '--diagnostics':
+                args.diagnostics = next();
+                break;
+            case '--output-format':
+                args.options.outputFormat = next().toLowerCase();
+                break;
+            case '--format':
+                args.options.parser = next().toLowerCase();
+                break;
+            case '--mapping':
+                args.mapping = next();
+                break;
+            case '--set': {
+                const [name, ...rest] = next().split('=');
+                args.options[name] = parseOptionValue(rest.join('='));
+                break;
+            }
+            default:
+                if (arg.startsWith('-')) throw new Error(`不明なオプションです: ${arg}`);
+                args.inputs.push(arg);
+        }
+    }
+
+    if (!EXPORT_TYPES.includes(args.mode)) {
+        throw new Error(`--mode は ${EXPORT_TYPES.join(' / ')} のいずれかを指定してください`);
+    }
+    if (args.source !== 'auto' && !SOURCE_LABELS[args.source]) {
+        throw new Error('--source は auto / chatgpt / gemini / claude のいずれかを指定してください');
+    }
+    if (args.options.outputFormat && !OUTPUT_FORMATS[args.options.outputFormat]) {
+        throw new Error(`--output-format は ${Object.keys(OUTPUT_FORMATS).join(' / ')} のいずれかを指定してください`);
+    }
+    if (args.options.parser && args.options.parser !== 'auto' && !PARSER_LABELS[args.options.parser]) {
+        throw new Error(`--format は auto / ${Object.keys(PARSER_LABELS).join(' / ')} のいずれかを指定してください`);
+    }
+    // --mapping は --format mapping を指定したことになるため、ほかの形式とは組み合わせられない
+    if (args.mapping && args.options.parser && !['auto', 'mapping'].includes(args.options.parser)) {
+        throw new Error(`--mapping と --format ${args.options.parser} は同時に指定できません（--mapping は --format mapping として扱います）`);
+    }
+
+    return args;
+}
+
+function parseOptionValue(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value !== '' && !isNaN(Number(value))) return Number(value);
+    return value;
+}
+
+async function writeFile(filePath, content) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || args.inputs.length === 0) {
+        console.log(USAGE);
+        process.exitCode = args.help ? 0 : 2;
+        return;
+    }
+
+    const converter = new ChatConverterCore(args.options);
+    converter.exportType = args.mode;
+    if (!converter.isValidTimeZone(converter.options.timeZone)) {
+        throw new Error(`不明なタイムゾーンです: ${converter.options.timeZone}`);
+    }
+
+    // テンプレート: プリセット名、またはJSONファイル（ブラウザ版で保存したテンプレートと同じ形式）
+    if (args.template) {
+        if (args.template.toLowerCase().endsWith('.json')) {
+            const template = JSON.parse(await fs.promises.readFile(args.template, 'utf8'));
+            converter.customTemplates.cli = template;
+            converter.options.template = 'cli';
+        } else if (TEMPLATE_PRESETS[args.template]) {
+            converter.options.template = args.template;
+        } else {
+            throw new Error(`不明なテンプレートです: ${args.template}`);
+        }
+    }
+
+    // カスタムマッピング: ブラウザ版の入力欄と同じ項目のJSON
+    if (args.mapping) {
+        converter.options.fieldMapping = JSON.parse(await fs.promises.readFile(args.mapping, 'utf8'));
+        if (converter.options.parser === 'auto') converter.options.parser = 'mapping';
+    }
+
+    for (const input of args.inputs) {
+        if (!fs.existsSync(input)) {
+            throw new Error(`入力ファイルが見つかりません: ${input}`);
+        }
+        // JSONは Blob として渡し、ファイル全体を文字列にせず少しずつ解析する
+        const isZip = input.toLowerCase().endsWith('.zip');
+        const data = isZip || !fs.openAsBlob
+            ? await fs.promises.readFile(input, isZip ? null : 'utf8')
+            : await fs.openAsBlob(input);
+        const found = await converter.addFile(path.basename(input), data);
+        if (!found) {
+            throw new Error(`${input}: ZIP内に会話履歴のJSONファイルが見つかりませんでした`);
+        }
+    }
+
+    // ソースを指定した場合はすべての会話に適用
+    if (args.source !== 'auto') {
+        converter.detectedSource = SOURCE_LABELS[args.source];
+        converter.conversations.forEach(conv => {
+            conv.source = converter.detectedSource;
+        });
+    }
+
+    // 差分エクスポート: 前回のマニフェストを読み込む
+    if (converter.options.incremental) {
+        const manifestPath = args.manifest || path.join(args.out, MANIFEST_FILENAME);
+        if (fs.existsSync(manifestPath)) {
+            const isZipManifest = manifestPath.toLowerCase().endsWith('.zip');
+            const manifestData = await fs.promises.readFile(manifestPath, isZipManifest ? null : 'utf8');
+            await converter.loadPreviousManifest(path.basename(manifestPath), manifestData);
+        } else if (args.manifest) {
+            throw new Error(`マニフェストが見つかりません: ${args.manifest}`);
+        }
+    }
+
+    const files = converter.generateMarkdownFiles();
+    for (const file of files) {
+        await writeFile(path.join(args.out, file.filename), file.content);
+    }
+
+    // 出力した会話が参照しているメディアファイルだけを assets/ にコピー
+    for (const mediaPath of converter.usedMediaPaths) {
+        await writeFile(path.join(args.out, 'assets', mediaPath), await converter.mediaFiles.get(mediaPath).async('nodebuffer'));
+    }
+
+    const sources = [...new Set(converter.conversations.map(conv => conv.source).filter(source => source !== 'AI'))];
+    const sourceText = sources.length > 0 ? ` (${sources.join('・')})` : '';
+    const duplicateText = converter.duplicateCount > 0 ? `（重複${converter.duplicateCount}件を除外）` : '';
+    console.log(`${converter.conversations.length}件の会話${sourceText}${duplicateText}から` +
+        `${files.length}個のファイルを ${args.out} に出力しました`);
+
+    // 出力しなかったデータがあれば標準エラーに知らせる
+    converter.sources.forEach(source => {
+        const totals = converter.getDiagnosticsTotals(source.diagnostics);
+        if (totals.skippedConversations + totals.skippedMessages + totals.unknownContentTypes === 0) return;
+        console.warn(`${source.fileName}: 出力しなかった会話${totals.skippedConversations}件・` +
+            `メッセージ${totals.skippedMessages}件、未対応の形式${totals.unknownContentTypes}件` +
+            (args.diagnostics ? '' : '（詳細は --diagnostics で確認できます）'));
+    });
+    if (args.diagnostics) {
+        await writeFile(args.diagnostics, converter.getDiagnosticsReport());
+    }
+}
+
+main().catch(error => {
+    console.error(`エラー: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,4755 @@
+/**
+ * AI Chat to Markdown Converter - 変換コア
+ * 会話履歴の解析とMarkdown生成（DOMに依存しないため、ブラウザとNode.jsの両方で動作する）
+ */
+
+/**
+ * HTMLの名前付き文字参照（HTML 4.01の全実体参照 + HTML5のよく使われる記号）
+ */
+const HTML_NAMED_ENTITIES = {
+    quot: 34, amp: 38, apos: 39, lt: 60, gt: 62, nbsp: 160, iexcl: 161, cent: 162,
+    pound: 163, curren: 164, yen: 165, brvbar: 166, sect: 167, uml: 168, copy: 169, ordf: 170,
+    laquo: 171, not: 172, shy: 173, reg: 174, macr: 175, deg: 176, plusmn: 177, sup2: 178,
+    sup3: 179, acute: 180, micro: 181, para: 182, middot: 183, cedil: 184, sup1: 185, ordm: 186,
+    raquo: 187, frac14: 188, frac12: 189, frac34: 190, iquest: 191, Agrave: 192, Aacute: 193, Acirc: 194,
+    Atilde: 195, Auml: 196, Aring: 197, AElig: 198, Ccedil: 199, Egrave: 200, Eacute: 201, Ecirc: 202,
+    Euml: 203, Igrave: 204, Iacute: 205, Icirc: 206, Iuml: 207, ETH: 208, Ntilde: 209, Ograve: 210,
+    Oacute: 211, Ocirc: 212, Otilde: 213, Ouml: 214, times: 215, Oslash: 216, Ugrave: 217, Uacute: 218,
+    Ucirc: 219, Uuml: 220, Yacute: 221, THORN: 222, szlig: 223, agrave: 224, aacute: 225, acirc: 226,
+    atilde: 227, auml: 228, aring: 229, aelig: 230, ccedil: 231, egrave: 232, eacute: 233, ecirc: 234,
+    euml: 235, igrave: 236, iacute: 237, icirc: 238, iuml: 239, eth: 240, ntilde: 241, ograve: 242,
+    oacute: 243, ocirc: 244, otilde: 245, ouml: 246, divide: 247, oslash: 248, ugrave: 249, uacute: 250,
+    ucirc: 251, uuml: 252, yacute: 253, thorn: 254, yuml: 255, OElig: 338, oelig: 339, Scaron: 352,
+    scaron: 353, Yuml: 376, fnof: 402, circ: 710, tilde: 732, Alpha: 913, Beta: 914, Gamma: 915,
+    Delta: 916, Epsilon: 917, Zeta: 918, Eta: 919, Theta: 920, Iota: 921, Kappa: 922, Lambda: 923,
+    Mu: 924, Nu: 925, Xi: 926, Omicron: 927, Pi: 928, Rho: 929, Sigma: 931, Tau: 932,
+    Upsilon: 933, Phi: 934, Chi: 935, Psi: 936, Omega: 937, alpha: 945, beta: 946, gamma: 947,
+    delta: 948, epsilon: 949, zeta: 950, eta: 951, theta: 952, iota: 953, kappa: 954, lambda: 955,
+    mu: 956, nu: 957, xi: 958, omicron: 959, pi: 960, rho: 961, sigmaf: 962, sigma: 963,
+    tau: 964, upsilon: 965, phi: 966, chi: 967, psi: 968, omega: 969, thetasym: 977, upsih: 978,
+    piv: 982, ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204, zwj: 8205, lrm: 8206, rlm: 8207,
+    ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218, ldquo: 8220, rdquo: 8221, bdquo: 8222,
+    dagger: 8224, Dagger: 8225, bull: 8226, hellip: 8230, permil: 8240, prime: 8242, Prime: 8243, lsaquo: 8249,
+    rsaquo: 8250, oline: 8254, frasl: 8260, euro: 8364, image: 8465, weierp: 8472, real: 8476, trade: 8482,
+    alefsym: 8501, larr: 8592, uarr: 8593, rarr: 8594, darr: 8595, harr: 8596, crarr: 8629, lArr: 8656,
+    uArr: 8657, rArr: 8658, dArr: 8659, hArr: 8660, forall: 8704, part: 8706, exist: 8707, empty: 8709,
+    nabla: 8711, isin: 8712, notin: 8713, ni: 8715, prod: 8719, sum: 8721, minus: 8722, lowast: 8727,
+    radic: 8730, prop: 8733, infin: 8734, ang: 8736, and: 8743, or: 8744, cap: 8745, cup: 8746,
+    int: 8747, there4: 8756, sim: 8764, cong: 8773, asymp: 8776, ne: 8800, equiv: 8801, le: 8804,
+    ge: 8805, sub: 8834, sup: 8835, nsub: 8836, sube: 8838, supe: 8839, oplus: 8853, otimes: 8855,
+    perp: 8869, sdot: 8901, lceil: 8968, rceil: 8969, lfloor: 8970, rfloor: 8971, lang: 10216, rang: 10217,
+    loz: 9674, spades: 9824, clubs: 9827, hearts: 9829, diams: 9830,
+    // HTML5で追加された記号類（よく使われるもの）
+    Tab: 9, NewLine: 10, excl: 33, num: 35, dollar: 36, percnt: 37, lpar: 40, rpar: 41,
+    ast: 42, plus: 43, comma: 44, period: 46, sol: 47, colon: 58, semi: 59, equals: 61,
+    quest: 63, commat: 64, lbrack: 91, lsqb: 91, bsol: 92, rbrack: 93, rsqb: 93, Hat: 94,
+    lowbar: 95, grave: 96, lcub: 123, lbrace: 123, verbar: 124, vert: 124, rcub: 125, rbrace: 125,
+    starf: 9733, star: 9734, check: 10003, cross: 10007
+};
+
+// 空要素（終了タグを持たない）
+const HTML_VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+
+// ブロック要素（前後で段落を区切る）
+const HTML_BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption',
+    'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav',
+    'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+/**
+ * Markdownの出力テンプレート（プリセット）
+ * {{変数}} で値を埋め込み、{{#変数}}...{{/変数}} は値があるとき、{{^変数}}...{{/変数}} は値がないときだけ出力する
+ *
+ * frontMatter / header / separator: 会話ごとのファイルの先頭部分
+ * message: 1件のメッセージ（会話ごと・まとめファイル共通）
+ * groupHeader / groupConversation / groupSeparator: 月・年ごとのまとめファイル
+ */
+const TEMPLATE_PRESETS = {
+    default: {
+        name: '標準（現在の形式）',
+        frontMatter: '---\n{{front_matter}}---\n\n',
+        header: '# {{title}}\n\n{{#created}}- Created ({{timezone}}): {{created}}\n{{/created}}' +
+            '{{#updated}}- Updated ({{timezone}}): {{updated}}\n{{/updated}}{{#has_dates}}\n{{/has_dates}}',
+        separator: '---\n\n',
+        message: '{{heading}} {{role_label}}\n{{#branch_label}}*{{branch_label}}*\n{{/branch_label}}' +
+            '{{#time}}*Time ({{timezone}}): {{time}}*\n{{/time}}\n{{#content}}{{content}}\n\n{{/content}}' +
+            '{{images}}{{attachments}}{{branches}}',
+        groupFrontMatter: '---\n{{front_matter}}---\n\n',
+        groupHeader: '# {{source_label}} 会話履歴 - {{period}}\n\n**会話数**: {{count}}\n\n---\n\n',
+        groupConversation: '## {{index}}. {{title}}\n\n{{#show_id}}- {{source_key}}_conversation_id: {{id}}\n{{/show_id}}' +
+            '{{#created}}- Created ({{timezone}}): {{created}}\n{{/created}}' +
+            '{{#updated}}- Updated ({{timezone}}): {{updated}}\n{{/updated}}' +
+            '{{#has_meta}}\n{{/has_meta}}',
+        groupSeparator: '---\n\n'
+    },
+    obsidian: {
+        name: 'Obsidian コールアウト',
+        frontMatter: '---\n{{front_matter}}---\n\n',
+        header: '# {{title}}\n\n',
+        separator: '',
+        message: '> [!{{callout_type}}]+ {{role_label}}{{#time}} · {{time}}{{/time}}{{#branch_label}} · {{branch_label}}{{/branch_label}}\n' +
+            '{{content_quoted}}\n\n',
+        groupFrontMatter: '---\n{{front_matter}}---\n\n',
+        groupHeader: '# {{source_label}} 会話履歴 - {{period}}\n\n',
+        groupConversation: '## {{title}}\n\n{{#created}}*{{created}}*\n\n{{/created}}',
+        groupSeparator: ''
+    },
+    minimal: {
+        name: 'ミニマル',
+        frontMatter: '',
+        header: '# {{title}}\n\n',
+        separator: '',
+        message: '**{{role_label}}:**\n\n{{#content}}{{content}}\n\n{{/content}}{{images}}{{attachments}}{{branches}}',
+        groupFrontMatter: '',
+        groupHeader: '# {{period}}\n\n',
+        groupConversation: '## {{title}}\n\n',
+        groupSeparator: ''
+    }
+};
+
+// 差分エクスポートで使うマニフェストのファイル名
+const MANIFEST_FILENAME = 'ai-chat-manifest.json';
+
+// Vaultモード（Obsidian / Logseq）の索引ノートを置くフォルダ
+const VAULT_INDEX_FOLDER = 'index';
+const VAULT_STYLES = ['obsidian', 'logseq'];
+
+// 出力単位（exportType）。per_chat 以外は会話をグループにまとめてグループごとに1ファイル出力する
+const EXPORT_TYPES = ['per_chat', 'per_day', 'per_week', 'per_month', 'per_year', 'per_project', 'per_topic', 'single'];
+
+// 出力形式（options.outputFormat）。どの形式も同じ会話データ（conversations）から生成する
+const OUTPUT_FORMATS = {
+    markdown: { label: 'Markdown', description: '', extension: '.md', mimeType: 'text/markdown;charset=utf-8' },
+    html: { label: 'HTML', description: 'スタイル付きの単独のファイル', extension: '.html', mimeType: 'text/html;charset=utf-8' },
+    print: { label: '印刷用HTML', description: 'ブラウザの印刷でPDFに保存', extension: '.html', mimeType: 'text/html;charset=utf-8' },
+    jsonl: { label: 'JSONL', description: '1行に1メッセージ', extension: '.jsonl', mimeType: 'application/x-ndjson;charset=utf-8' }
+};
+
+// HTML出力に埋め込むスタイル（外部ファイルなしで表示できるようにする）
+const HTML_STYLES = `
+body { margin: 0; background: #f6f7fb; color: #1f2330; font: 16px/1.7 -apple-system, BlinkMacSystemFont, "Segoe UI", "Hiragino Sans", "Noto Sans JP", sans-serif; }
+.transcript { max-width: 860px; margin: 2rem auto; padding: 2rem 2.5rem; background: #fff; border-radius: 12px; box-shadow: 0 2px 12px rgba(31, 35, 48, 0.08); }
+h1 { font-size: 1.8rem; line-height: 1.3; margin-top: 0; }
+h2, h3 { margin-top: 2rem; padding-bottom: 0.3rem; border-bottom: 1px solid #e4e6ef; }
+a { color: #4c5fd5; }
+pre { padding: 1rem; overflow-x: auto; background: #f3f4f8; border-radius: 8px; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; }
+:not(pre) > code { padding: 0.1em 0.35em; background: #f3f4f8; border-radius: 4px; }
+blockquote { margin: 1rem 0; padding: 0.25rem 1rem; color: #555b6e; border-left: 4px solid #c9cde0; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { padding: 0.4rem 0.75rem; border: 1px solid #dfe2ec; }
+th { background: #f3f4f8; }
+img { max-width: 100%; }
+hr { border: none; border-top: 1px solid #e4e6ef; margin: 2rem 0; }
+details { margin: 1rem 0; padding: 0.5rem 1rem; background: #fafafc; border: 1px solid #e4e6ef; border-radius: 8px; }
+@media (max-width: 640px) { .transcript { margin: 0; padding: 1.25rem; border-radius: 0; } }
+`;
+
+// 印刷用HTML（ブラウザの印刷機能でPDFに保存する）のスタイル
+const PRINT_STYLES = `
+@page { size: A4; margin: 18mm 16mm; }
+body { margin: 0 auto; max-width: 48rem; color: #000; font: 11pt/1.6 "Hiragino Mincho ProN", "Yu Mincho", "Noto Serif JP", Georgia, serif; }
+h1 { font-size: 18pt; margin: 0 0 12pt; }
+h2, h3 { font-size: 13pt; margin: 18pt 0 6pt; border-bottom: 0.5pt solid #999; break-after: avoid; page-break-after: avoid; }
+pre, code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 9pt; }
+pre { padding: 6pt 8pt; white-space: pre-wrap; word-break: break-all; border: 0.5pt solid #999; }
+pre, blockquote, table, img, details { break-inside: avoid; page-break-inside: avoid; }
+blockquote { margin: 8pt 0; padding-left: 10pt; border-left: 2pt solid #999; }
+table { border-collapse: collapse; }
+th, td { padding: 3pt 6pt; border: 0.5pt solid #999; }
+img { max-width: 100%; }
+a { color: inherit; }
+a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 8pt; word-break: break-all; }
+hr { border: none; border-top: 0.5pt solid #999; }
+@media screen { body { padding: 2rem; } }
+`;
+
+// 伏せ字にした内容のレポートのファイル名
+const REDACTION_REPORT_FILENAME = 'redaction-report.md';
+
+// 診断レポート（解析に使った形式・出力しなかったデータ）のファイル名
+const DIAGNOSTICS_REPORT_FILENAME = 'diagnostics-report.md';
+
+// エクスポート形式ごとのパーサー（parseSource で選択する）
+const PARSER_LABELS = {
+    gemini_activity: 'Gemini マイアクティビティ',
+    chatgpt: 'ChatGPT（mapping）',
+    claude: 'Claude',
+    array: '会話の配列',
+    conversations: 'conversations プロパティ',
+    takeout: 'Google Takeout（chats / history）',
+    single: '単一の会話',
+    api: 'Gemini API（contents）',
+    generic: '汎用（キー名から推測）',
+    mapping: 'カスタムマッピング'
+};
+
+// 形式から決まるソース（それ以外の形式はファイル名や内容から判定する）
+const PARSER_SOURCES = {
+    gemini_activity: 'Gemini',
+    chatgpt: 'ChatGPT',
+    claude: 'Claude',
+    takeout: 'Gemini',
+    api: 'Gemini'
+};
+
+// 診断情報に残すJSONパスの例の数（理由ごと）
+const DIAGNOSTIC_SAMPLE_LIMIT = 3;
+
+/**
+ * 伏せ字にする秘密情報・個人情報の検出パターン
+ * group を指定した場合はそのグループだけを伏せ字にする（「password=」などの前置きは残す）
+ */
+const REDACTION_DETECTORS = [
+    // 秘密情報
+    {
+        id: 'private_key', label: '秘密鍵', category: 'secrets',
+        pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g
+    },
+    { id: 'aws_access_key', label: 'AWSアクセスキー', category: 'secrets', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    {
+        id: 'github_token', label: 'GitHubトークン', category: 'secrets',
+        pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g
+    },
+    { id: 'api_key', label: 'APIキー（sk-...）', category: 'secrets', pattern: /\bsk-[A-Za-z0-9_-]{20,}/g },
+    { id: 'google_api_key', label: 'Google APIキー', category: 'secrets', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { id: 'slack_token', label: 'Slackトークン', category: 'secrets', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+    { id: 'stripe_key', label: 'Stripeキー', category: 'secrets', pattern: /\b[rsp]k_(?:live|test)_[0-9A-Za-z]{16,}\b/g },
+    {
+        id: 'jwt', label: 'JWT', category: 'secrets',
+        pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g
+    },
+    { id: 'bearer_token', label: 'Bearerトークン', category: 'secrets', pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)/gi, group: 1 },
+    {
+        id: 'url_credentials', label: 'URL内のパスワード', category: 'secrets',
+        pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:([^\s@/]+)@/gid, group: 1
+    },
+    {
+        id: 'credential_assignment', label: 'パスワード・トークンの値', category: 'secrets',
+        pattern: /(?<![[\w])(?:api[_-]?key|secret|token|password|passwd|pwd)\b["']?\s*[:=]\s*["']?([^\s"'`,;]{8,})/gid, group: 1
+    },
+    // 個人情報
+    { id: 'email', label: 'メールアドレス', category: 'pii', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    {
+        id: 'credit_card', label: 'クレジットカード番号', category: 'pii',
+        pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+        validate: value => ChatConverterCore.isLuhnValid(value.replace(/\D/g, ''))
+    },
+    {
+        // 090-1234-5678 のように0で始まるハイフン区切り、または +81 / (03) で始まる番号
+        // 12-25-2024 のような日付は除く
+        id: 'phone', label: '電話番号', category: 'pii',
+        pattern: /(?<![\d-])(?:(?:\+\d{1,3}[\s-]?\(?\d{1,4}\)?|\(?0\d{1,3}\)?)-\d{2,4}-\d{3,4}|(?:\+\d{1,3}|\(\d{2,4}\))(?:[\s-]?\d{1,4}){2,3})(?![\d-])/g,
+        validate: value => !/^\d{1,2}-\d{1,2}-\d{4}$/.test(value)
+    },
+    {
+        id: 'ip_address', label: 'IPアドレス', category: 'pii',
+        pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g
+    },
+    {
+        // threading.local や this.internal のようなコードに一致しないよう、ドメインの前に2つ以上のラベルを必要とする
+        id: 'internal_host', label: '社内ホスト名', category: 'pii',
+        pattern: /(?<![\w.])(?:[a-z0-9-]+\.){2,}(?:internal|local|corp|lan|intranet|intra)\b/gi
+    }
+];
+
+// キーワード抽出（タグ・トピック分類）で使わない語。ひらがなだけの語と1文字の語は別に除く
+const KEYWORD_STOPWORDS = new Set([
+    // 英語
+    'about', 'above', 'after', 'again', 'all', 'also', 'and', 'any', 'are', 'because', 'been', 'before', 'being',
+    'below', 'between', 'both', 'but', 'can', 'could', 'did', 'does', 'doing', 'done', 'down', 'each', 'else',
+    'even', 'every', 'example', 'few', 'for', 'from', 'further', 'get', 'gets', 'getting', 'give', 'given', 'had',
+    'has', 'have', 'having', 'help', 'her', 'here', 'hers', 'him', 'his', 'how', 'however', 'into', 'its', 'itself',
+    'just', 'know', 'let', 'like', 'make', 'makes', 'many', 'may', 'might', 'more', 'most', 'much', 'must', 'need',
+    'needs', 'new', 'not', 'now', 'off', 'once', 'one', 'only', 'other', 'our', 'ours', 'out', 'over', 'own', 'please',
+    'same', 'see', 'she', 'should', 'some', 'such', 'sure', 'than', 'thank', 'thanks', 'that', 'the', 'their',
+    'theirs', 'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'this', 'those', 'through', 'too', 'two',
+    'under', 'until', 'use', 'used', 'uses', 'using', 'very', 'want', 'was', 'way', 'well', 'were', 'what', 'when',
+    'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'within', 'without', 'would', 'yes', 'you',
+    'your', 'yours', 'yourself',
+    // 日本語（漢字・カタカナの一般的な語）
+    '場合', '方法', '必要', '可能', '使用', '以下', '以上', '今回', '確認', '説明', '質問', '回答', '内容', '部分',
+    '上記', '下記', '全体', '一般', '具体', '具体的', '簡単', '自分', '今日', 'お願い', 'ポイント', 'ステップ'
+]);
+
+class ChatConverterCore {
+    constructor(options = {}) {
+        this.jsonData = null;
+        this.sources = []; // 読み込んだファイル（{ fileName, jsonData, mediaPrefix, detectedSource, conversationCount }）
+        this.conversations = [];
+        this.duplicateCount = 0; // 複数のファイルで重複していたため除いた会話の数
+        this.exportType = 'per_chat';
+        this.detectedSource = 'AI'; // すべての会話に共通のソース: 'Gemini', 'ChatGPT', 'Claude', or 'AI'
+        this.mediaFiles = new Map(); // ZIP内のパス -> JSZipエントリ（画像・音声など。2つ目以降のZIPはパスの前にZIPごとのフォルダを付ける）
+        this.usedMediaPaths = new Set(); // 直前に生成したファイルから参照したメディアファイルのパス（これだけを assets/ に出力する）
+        this.mediaSourceDir = ''; // 出力中の会話を読み込んだJSONのZIP内のフォルダ（同じ名前のメディアファイルを区別する）
+        this.mediaSourcePrefix = null; // 出力中の会話を読み込んだZIPのメディアファイルのフォルダ（ZIPでなければ null）
+        this.assetBasePath = 'assets/'; // 出力中のファイルから assets/ フォルダへの相対パス
+        this.vaultLinks = null; // Vaultモードで出力中の会話 -> { name, prev, next }
+        this.deselectedKeys = new Set(); // 会話一覧で選択を外した会話
+        this.titleOverrides = new Map(); // 会話一覧で変更したタイトル（会話のキー -> タイトル）
+        this.previousManifest = null; // 差分エクスポートの基準となる前回のマニフェスト
+        this.customTemplates = {}; // ユーザー定義のテンプレート（ID -> テンプレート）
+        this.options = {
+            branchMode: 'current', // 'current', 'variants', or 'per_leaf'
+            geminiSessionGap: 30, // 分。この間隔以内のGeminiアクティビティを1つの会話にまとめる（0でまとめない）
+            // ChatGPTのテキスト以外のコンテンツ
+            includeCode: true,
+            includeExecutionOutput: true,
+            includeWebResults: true,
+            includeImages: true,
+            includeReasoning: true,
+            includeToolMessages: true,
+            incremental: false, // 新規・更新された会話のみ出力（会話ごとの出力時）
+            template: 'default', // TEMPLATE_PRESETS のキー、または customTemplates のID
+            timeZone: 'UTC', // 'UTC'、'local'（実行環境のタイムゾーン）、または 'Asia/Tokyo' などのIANA名
+            dateFormat: 'iso', // 'iso'（ISO 8601）、または 'YYYY-MM-DD HH:mm' などのパターン
+            folderLayout: '', // ZIP内のフォルダ構成（'YYYY/MM' などの日付パターン。空ならフォルダに分けない）
+            // フロントマターに追加する項目
+            frontMatterSource: false, // source（ChatGPT / Gemini / Claude）
+            frontMatterModel: false, // 使用したモデル
+            frontMatterStats: false, // メッセージ数・単語数
+            frontMatterAliases: false, // aliases（タイトル）
+            frontMatterTags: '', // 固定のタグ（カンマ区切り）
+            autoTags: false, // ソース・モデル・内容から自動でタグを付ける
+            // 伏せ字（秘密情報・個人情報を出力前に隠す）
+            redact: false,
+            redactSecrets: true, // APIキー・トークン・秘密鍵など
+            redactPII: true, // メールアドレス・電話番号・カード番号・IPアドレス・社内ホスト名
+            redactPatterns: '', // ユーザー定義の正規表現（1行に1つ。/.../flags 形式も可）
+            redactWords: '', // 伏せ字にする語句（カンマ・改行区切り）
+            redactStyle: 'label', // 'label'（[REDACTED:email]）, 'block'（█████）, 'partial'（先頭と末尾のみ残す）, 'hash'（値ごとに同じ記号）
+            outputFormat: 'markdown', // OUTPUT_FORMATS のキー
+            // Vaultモード（会話ごとのMarkdownに索引ノートと前後の会話へのリンクを付ける）
+            vault: '', // ''（使わない）, 'obsidian', or 'logseq'（リンクの書き方が変わる）
+            vaultTagIndex: false, // タグ別の索引ノート（MOC）も出力
+            // 内容からのキーワード抽出（オフライン。TF-IDF）
+            keywordTags: 0, // 会話ごとに付けるキーワードタグの数（0で付けない）
+            topicCount: 0, // トピック別にまとめる場合のトピック数（0で会話数から自動で決める）
+            // エクスポート形式の指定
+            parser: 'auto', // 'auto'（自動検出）、または PARSER_LABELS のキー
+            fieldMapping: null, // parser: 'mapping' で使うフィールドの場所（parseFieldMapping を参照）
+            ...options
+        };
+    }
+
+    /**
+     * ファイルを読み込んで会話を解析（読み込み済みのファイルは破棄する）
+     * data はJSONの文字列・Blob、またはZIPのデータ（Blob / ArrayBuffer / Buffer など）
+     * ZIP内に会話履歴が見つからない場合は false を返す
+     */
+    async loadFile(fileName, data, onProgress) {
+        this.sources = [];
+        this.mediaFiles = new Map();
+        return this.addFile(fileName, data, onProgress);
+    }
+
+    /**
+     * ファイルを追加で読み込み、読み込み済みのファイルと合わせて解析
+     * 別のサービスや別アカウントのエクスポートをまとめて出力できる
+     * onProgress(割合 0〜1) で読み込みの進捗を通知（Blob・ZIPの場合）
+     */
+    async addFile(fileName, data, onProgress = () => {}) {
+        // ファイル名を保存（ソース検出に使用）
+        this.fileName = fileName;
+
+        let mediaPrefix = null;
+        if (fileName.toLowerCase().endsWith('.zip')) {
+            mediaPrefix = this.getMediaPrefix(fileName);
+            const found = await this.loadZipArchive(data, onProgress, mediaPrefix);
+            if (!found) return false;
+        } else if (typeof data === 'string') {
+            this.jsonData = JSON.parse(data);
+        } else {
+            // 大きなファイルでも全体を文字列にせず、少しずつ解析する
+            this.jsonData = await this.parseJsonBlob(data, onProgress);
+        }
+
+        this.sources.push({ fileName: this.fileName, jsonData: this.jsonData, mediaPrefix });
+        this.parseConversations();
+        return true;
+    }
+
+    /**
+     * Blob（File）のJSONをストリーミングで解析
+     */
+    async parseJsonBlob(blob, onProgress = () => {}) {
+        const parser = this.createJsonStreamParser();
+        const reader = blob.stream().getReader();
+        const decoder = new TextDecoder();
+        let loaded = 0;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            loaded += value.byteLength;
+            parser.write(decoder.decode(value, { stream: true }));
+            onProgress(blob.size ? loaded / blob.size : 1);
+        }
+        parser.write(decoder.decode());
+
+        return parser.end();
+    }
+
+    /**
+     * ストリーミングJSONパーサー（ブラウザではグローバル、Node.jsでは json-stream-parser.js）
+     */
+    createJsonStreamParser() {
+        if (typeof JsonStreamParser !== 'undefined') return new JsonStreamParser();
+        return new (require('./json-stream-parser').JsonStreamParser)();
+    }
+
+    /**
+     * JSZipを取得（ブラウザではグローバル、Node.jsでは jszip パッケージ）
+     */
+    getJSZip() {
+        if (typeof JSZip !== 'undefined') return JSZip;
+        if (typeof require === 'function') {
+            try {
+                return require('jszip');
+            } catch (error) {
+                // 下でエラーにする
+            }
+        }
+        throw new Error('ZIPファイルの読み込みには JSZip が必要です');
+    }
+
+    /**
+     * ZIPのメディアファイルを置くフォルダ（最初のZIPは assets/ の直下、2つ目以降はZIPの名前のフォルダ）
+     * 複数のChatGPTエクスポートに同じ名前のファイル（file-xxx.png）があっても上書きしない
+     */
+    getMediaPrefix(zipFileName) {
+        if (this.mediaFiles.size === 0) return '';
+
+        const base = this.sanitizeFilename(zipFileName.split('/').pop().replace(/\.zip$/i, ''));
+        const isUsed = prefix => [...this.mediaFiles.keys()].some(mediaPath => mediaPath.startsWith(prefix));
+        let prefix = `${base}/`;
+        for (let n = 2; isUsed(prefix); n++) {
+            prefix = `${base}_(${n})/`;
+        }
+        return prefix;
+    }
+
+    /**
+     * ChatGPTのデータエクスポートやGoogle TakeoutのZIPを読み込む
+     * 会話履歴のJSONを探して解析し、同梱のメディアファイルは mediaFiles に（mediaPrefix を付けたパスで）保持する
+     */
+    async loadZipArchive(file, onProgress = () => {}, mediaPrefix = '') {
+        const zip = await this.getJSZip().loadAsync(file);
+        const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+        const jsonEntry = this.findConversationEntry(entries);
+        if (!jsonEntry) return false;
+
+        // ZIP内のパスをファイル名として扱う（Takeoutのフォルダ名もソース検出に使える）
+        this.fileName = jsonEntry.name;
+        this.jsonData = await this.parseZipEntry(jsonEntry, onProgress);
+
+        // 画像・音声などのメディアファイルを保持（JSON・HTMLは除外）
+        entries.forEach(entry => {
+            const lowerPath = entry.name.toLowerCase();
+            const baseName = lowerPath.split('/').pop();
+            if (lowerPath.endsWith('.json') || lowerPath.endsWith('.html') ||
+                baseName.startsWith('.') || lowerPath.startsWith('__macosx/')) {
+                return;
+            }
+            this.mediaFiles.set(mediaPrefix + entry.name, entry);
+        });
+
+        return true;
+    }
+
+    /**
+     * ZIP内のJSONを展開しながらストリーミングで解析
+     */
+    parseZipEntry(entry, onProgress = () => {}) {
+        const parser = this.createJsonStreamParser();
+
+        return new Promise((resolve, reject) => {
+            const stream = entry.internalStream('string');
+            stream
+                .on('data', (chunk, metadata) => {
+                    try {
+                        parser.write(chunk);
+                        onProgress(metadata.percent / 100);
+                    } catch (error) {
+                        stream.pause();
+                        reject(error);
+                    }
+                })
+                .on('error', reject)
+                .on('end', () => {
+                    try {
+                        resolve(parser.end());
+                    } catch (error) {
+                        reject(error);
+                    }
+                })
+                .resume();
+        });
+    }
+
+    /**
+     * ZIP内のエントリから会話履歴のJSONを探す
+     */
+    findConversationEntry(entries) {
+        const jsonEntries = entries.filter(entry => entry.name.toLowerCase().endsWith('.json'));
+        const baseNameOf = entry => entry.name.split('/').pop().toLowerCase();
+
+        // ChatGPT: conversations.json
+        const chatgptEntry = jsonEntries.find(entry => baseNameOf(entry) === 'conversations.json');
+        if (chatgptEntry) return chatgptEntry;
+
+        // Google Takeout: 「Gemini」フォルダ内のマイアクティビティ
+        const activityNames = ['myactivity.json', 'マイアクティビティ.json', 'my_activity.json'];
+        const activityEntries = jsonEntries.filter(entry => activityNames.includes(baseNameOf(entry)));
+        const geminiEntry = activityEntries.find(entry => entry.name.toLowerCase().includes('gemini'));
+        if (geminiEntry) return geminiEntry;
+        if (activityEntries.length === 1) return activityEntries[0];
+
+        // JSONが1つだけならそれを使用
+        if (jsonEntries.length === 1) return jsonEntries[0];
+
+        return null;
+    }
+
+    /**
+     * 読み込んだすべてのファイルを解析して会話をまとめる
+     * ソースは会話ごとに記録し、同じ会話が複数のファイルにあれば1つにする
+     */
+    parseConversations() {
+        const conversations = [];
+
+        this.sources.forEach(source => {
+            this.fileName = source.fileName;
+            this.jsonData = source.jsonData;
+            this.conversations = [];
+            this.parseSource();
+            source.detectedSource = this.detectedSource;
+            source.conversationCount = this.conversations.length;
+            source.diagnostics = this.diagnostics;
+            this.diagnostics = null;
+            this.diagnosticPaths = null;
+
+            this.conversations.forEach(conv => {
+                conv.source = this.detectedSource;
+                conv._sourceFile = source.fileName;
+                conv._mediaPrefix = source.mediaPrefix;
+                conversations.push(conv);
+            });
+        });
+
+        this.conversations = this.removeDuplicateConversations(conversations);
+        this.detectedSource = this.getCommonSource(this.conversations);
+
+        // タイトルがない会話（UUID・「会話 N」など）は最初の質問からタイトルを作る
+        this.conversations.forEach(conv => {
+            if (!this.isPlaceholderTitle(conv.title)) return;
+            const first = conv.messages.find(msg => msg.role === 'user' && (msg.content || '').trim()) ||
+                conv.messages.find(msg => (msg.content || '').trim());
+            const title = first ? this.generateTitle(first.content) : '';
+            if (title) conv.title = title;
+        });
+
+        // 伏せ字（出力・プレビュー・検索のすべてに伏せ字後の内容を使う）
+        if (this.options.redact) {
+            const rules = this.getRedactionRules();
+            this.conversations = this.conversations.map(conv => this.redactConversation(conv, rules));
+        }
+
+        // 選択状態の管理に使うキー（IDが重複する場合は連番を付与）
+        const usedKeys = new Set();
+        this.conversations.forEach(conv => {
+            let key = String(conv.id);
+            for (let n = 2; usedKeys.has(key); n++) {
+                key = `${conv.id}#${n}`;
+            }
+            usedKeys.add(key);
+            conv._key = key;
+            conv._parsedTitle = conv.title;
+        });
+        this.applyTitleOverrides();
+    }
+
+    /**
+     * 重複した会話を除く
+     * 同じソース・同じIDの会話は更新日時が新しいほうを残し、IDが自動採番の会話は内容が同じものを除く
+     */
+    removeDuplicateConversations(conversations) {
+        const byId = new Map();
+        const hashes = new Set();
+        const result = [];
+
+        conversations.forEach(conv => {
+            if (!this.hasGeneratedId(conv)) {
+                const idKey = `${conv.source}:${conv.id}`;
+                const index = byId.get(idKey);
+                if (index === undefined) {
+                    byId.set(idKey, result.length);
+                    result.push(conv);
+                } else {
+                    const existing = result[index];
+                    const timeOf = c => (c.updateTime || c.createTime || new Date(0)).getTime();
+                    if (timeOf(conv) > timeOf(existing)) {
+                        result[index] = conv;
+                    }
+                }
+                return;
+            }
+
+            // 内容のハッシュで比較（メッセージのない会話は比較しない）
+            if (conv.messages.length > 0) {
+                const hash = this.computeContentHash(JSON.stringify([
+                    conv.source, conv.messages.map(msg => [msg.role, msg.content])
+                ]));
+                if (hashes.has(hash)) return;
+                hashes.add(hash);
+            }
+            result.push(conv);
+        });
+
+        this.duplicateCount = conversations.length - result.length;
+        return result;
+    }
+
+    /**
+     * IDが自動採番（エクスポートにIDがなかった）かどうか
+     */
+    hasGeneratedId(conv) {
+        return /^(?:conversation|chat|api_conversation)_\d+$/.test(String(conv.id));
+    }
+
+    /**
+     * 仮のタイトル（空・UUID・「会話 N」・「New chat」など）かどうか
+     */
+    isPlaceholderTitle(title) {
+        if (!title || !String(title).trim()) return true;
+        return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(title) ||
+            /^(?:会話(?: \d+)?|新しいチャット|無題|New chat|Untitled)$/i.test(String(title).trim());
+    }
+
+    /**
+     * メッセージの本文からタイトルを作る
+     * コードブロック・URL・Markdownの記法と挨拶を除き、最初の文（短すぎる場合は次の文まで）を使う
+     * 長い場合は単語の途中で切らないように詰めて「…」を付ける（日本語は40文字、それ以外は60文字まで）
+     */
+    generateTitle(text) {
+        const lines = String(text || '')
+            .replace(/```[\s\S]*?(?:```|$)/g, '\n')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/https?:\/\/\S+/g, ' ')
+            .replace(/`([^`\n]*)`/g, '$1')
+            .replace(/^[ \t]*(?:#{1,6}|>+|[-*+]|\d+[.)])[ \t]+/gm, '')
+            .replace(/(\*\*|__|~~)(?=\S)(.+?)\1/g, '$2')
+            .replace(/(^|[^\w*])\*(?=\S)([^*\n]+?)\*(?!\w)/g, '$1$2')
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+
+        // 文に分ける（「。！？」の後、または後ろが空白・行末の「.」で区切る。3.5 などは区切らない）
+        let title = '';
+        for (const line of lines) {
+            const sentences = line.match(/[^。！？!?]+?(?:[。！？!?]+|\.(?=\s|$)|$)/g) || [];
+            for (const sentence of sentences.map(part => part.trim()).filter(Boolean)) {
+                // 挨拶だけの文はタイトルに使わない
+                if (/^(?:hi|hello|hey|thanks|こんにちは|こんばんは|おはようございます|すみません)[\s!！.。,、]*$/i.test(sentence)) continue;
+                title += title && !/[。！？]$/.test(title) ? ` ${sentence}` : sentence;
+                if ([...title].length >= 10) break;
+            }
+            if ([...title].length >= 10) break;
+        }
+        title = title.replace(/[\s。．.、,，:：;；]+$/, '');
+
+        const isJapanese = /[ぁ-んァ-ヴ一-龠]/.test(title);
+        const limit = isJapanese ? 40 : 60;
+        const chars = [...title];
+        if (chars.length <= limit) return title;
+
+        let cut = chars.slice(0, limit - 1).join('');
+        const segmenter = this.getWordSegmenter();
+        if (isJapanese && segmenter) {
+            // 単語の境界で切る
+            let end = 0;
+            for (const { index, segment } of segmenter.segment(title)) {
+                if (index + segment.length > cut.length) break;
+                end = index + segment.length;
+            }
+            if (end > cut.length / 2) cut = cut.slice(0, end);
+        } else if (!isJapanese) {
+            const space = cut.lastIndexOf(' ');
+            if (space > cut.length / 2) cut = cut.slice(0, space);
+        }
+        return cut.replace(/[\s、,，:：;；・-]+$/, '') + '…';
+    }
+
+    /**
+     * 会話一覧で変更したタイトルを記録して反映（空・元のタイトルと同じならもとに戻す）
+     * conversations には会話一覧の項目（getConversationSummaries）も渡せる
+     */
+    setConversationTitle(key, title, conversations = this.conversations) {
+        const conv = conversations.find(c => c._key === key);
+        if (!conv) return;
+
+        const trimmed = String(title || '').replace(/\s+/g, ' ').trim();
+        if (trimmed && trimmed !== conv._parsedTitle) {
+            this.titleOverrides.set(key, trimmed);
+        } else {
+            this.titleOverrides.delete(key);
+        }
+        this.applyTitleOverrides(conversations);
+    }
+
+    /**
+     * 変更したタイトルを会話に反映（見出し・ファイル名・索引のすべてに使う）
+     * タイトルが変わった場合はキーワード・トピックを計算し直す
+     */
+    applyTitleOverrides(conversations = this.conversations) {
+        let changed = false;
+        conversations.forEach(conv => {
+            if (conv._parsedTitle === undefined) conv._parsedTitle = conv.title;
+            const title = this.titleOverrides.get(conv._key) || conv._parsedTitle;
+            if (conv.title !== title) {
+                conv.title = title;
+                changed = true;
+            }
+        });
+        if (changed) this.topicModel = null;
+    }
+
+    /**
+     * 会話に共通のソース（複数のソースが混在する場合は 'AI'）
+     */
+    getCommonSource(conversations) {
+        const sources = new Set(conversations.map(conv => conv.source || 'AI'));
+        return sources.size === 1 ? [...sources][0] : 'AI';
+    }
+
+    /**
+     * 伏せ字のルール（組み込みの検出パターン + ユーザー定義の正規表現・語句）
+     * 正規表現が正しくない場合はエラーにする
+     */
+    getRedactionRules() {
+        const options = this.options;
+        const rules = REDACTION_DETECTORS.filter(detector =>
+            (detector.category === 'secrets' && options.redactSecrets) ||
+            (detector.category === 'pii' && options.redactPII));
+
+        String(options.redactPatterns || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            const literal = line.match(/^\/(.+)\/([a-z]*)$/);
+            let pattern;
+            try {
+                pattern = literal
+                    ? new RegExp(literal[1], literal[2].includes('g') ? literal[2] : literal[2] + 'g')
+                    : new RegExp(line, 'g');
+            } catch (error) {
+                throw new Error(`伏せ字の正規表現が正しくありません: ${line}`);
+            }
+            rules.push({ id: 'custom_pattern', label: 'ユーザー定義のパターン', pattern });
+        });
+
+        const words = String(options.redactWords || '').split(/[,\n]/).map(word => word.trim()).filter(Boolean);
+        if (words.length > 0) {
+            const escaped = words
+                .sort((a, b) => b.length - a.length)
+                .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            rules.push({ id: 'custom_word', label: 'ユーザー定義の語句', pattern: new RegExp(escaped.join('|'), 'gi') });
+        }
+
+        return rules;
+    }
+
+    /**
+     * 会話のタイトル・本文・添付ファイルを伏せ字にしたコピーを返す
+     * 伏せ字にした件数は conv.redactions（{ ルールID: 件数 }）に記録する
+     */
+    redactConversation(conv, rules) {
+        const redactions = {};
+        const redact = text => this.redactText(text, rules, redactions);
+
+        const redactMessage = msg => {
+            const copy = { ...msg, content: redact(msg.content) };
+            if (msg.attachments) {
+                copy.attachments = msg.attachments.map(attachment => ({
+                    ...attachment,
+                    name: redact(attachment.name),
+                    content: redact(attachment.content)
+                }));
+            }
+            if (msg.branches) {
+                copy.branches = msg.branches.map(branch => ({ ...branch, messages: branch.messages.map(redactMessage) }));
+            }
+            return copy;
+        };
+
+        return {
+            ...conv,
+            title: redact(conv.title),
+            messages: conv.messages.map(redactMessage),
+            redactions
+        };
+    }
+
+    /**
+     * テキストにルールを順に適用して伏せ字にする
+     * group のあるルールはその部分だけを伏せ字にする（位置は d フラグの indices で求める）
+     */
+    redactText(text, rules, redactions) {
+        if (typeof text !== 'string' || !text) return text;
+
+        return rules.reduce((result, rule) => {
+            let output = '';
+            let last = 0;
+            for (const match of result.matchAll(rule.pattern)) {
+                const value = rule.group ? match[rule.group] : match[0];
+                if (!value || (rule.validate && !rule.validate(value))) continue;
+
+                const [start, end] = rule.group
+                    ? match.indices[rule.group]
+                    : [match.index, match.index + match[0].length];
+                redactions[rule.id] = (redactions[rule.id] || 0) + 1;
+                output += result.slice(last, start) + this.maskValue(value, rule.id);
+                last = end;
+            }
+            return output + result.slice(last);
+        }, text);
+    }
+
+    /**
+     * 伏せ字の表記
+     */
+    maskValue(value, ruleId) {
+        switch (this.options.redactStyle) {
+            case 'block':
+                return '█████';
+            case 'partial': {
+                const chars = [...value];
+                if (chars.length <= 8) return '*'.repeat(chars.length);
+                return chars.slice(0, 2).join('') + '*'.repeat(chars.length - 4) + chars.slice(-2).join('');
+            }
+            case 'hash':
+                // 同じ値は同じ記号になるため、伏せ字にしたまま同一かどうかがわかる
+                return `[${ruleId}:${this.computeContentHash(value).slice(-8)}]`;
+            default:
+                return `[REDACTED:${ruleId}]`;
+        }
+    }
+
+    /**
+     * Luhnアルゴリズムによるカード番号のチェック
+     */
+    static isLuhnValid(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return digits.length >= 13 && sum % 10 === 0;
+    }
+
+    /**
+     * 読み込んだ1つのファイル（this.jsonData）を解析して this.conversations に追加
+     * 選んだパーサーとその理由、出力しなかったデータは this.diagnostics に記録する
+     */
+    parseSource() {
+        this.detectedSource = 'AI';
+        this.diagnostics = this.createDiagnostics();
+        this.diagnosticPaths = new Set();
+
+        // ファイル名からソースを事前検出
+        this.detectSourceFromFileName();
+
+        // エクスポート形式を検出（options.parser で指定した場合はその形式で解析）
+        const forced = this.options.parser && this.options.parser !== 'auto';
+        if (forced && !PARSER_LABELS[this.options.parser]) {
+            throw new Error(`不明なエクスポート形式です: ${this.options.parser}`);
+        }
+        const { parser, reason } = forced
+            ? { parser: this.options.parser, reason: '手動で指定' }
+            : this.detectParser(this.jsonData);
+        Object.assign(this.diagnostics, { parser, parserReason: reason });
+
+        if (PARSER_SOURCES[parser]) {
+            this.detectedSource = PARSER_SOURCES[parser];
+            this.diagnostics.sourceReason = forced ? '指定した形式から判定' : 'エクスポート形式から判定';
+        }
+        this.runParser(parser, this.jsonData);
+
+        // ChatGPTの mapping 形式を含む会話があれば ChatGPT と判定
+        if (this.detectedSource === 'AI' && this.conversations.some(c => c._isChatGPT)) {
+            this.detectedSource = 'ChatGPT';
+            this.diagnostics.sourceReason = 'mapping 形式の会話を含む';
+        }
+
+        this.diagnostics.messageCount = this.conversations.reduce((sum, conv) => sum + conv.messages.length, 0);
+        if (this.conversations.length === 0) {
+            this.addDiagnostic('warnings', '会話が見つかりませんでした');
+            this.diagnostics.jsonShape = this.describeJsonShape(this.jsonData);
+        }
+    }
+
+    /**
+     * JSONの構造からエクスポート形式を判定
+     * 戻り値: { parser: PARSER_LABELS のキー, reason: 判定の理由 }
+     */
+    detectParser(data) {
+        const first = Array.isArray(data) && data.length > 0 ? data[0] : null;
+
+        // Gemini マイアクティビティ形式: header に "Gemini" を含む配列
+        if (first && typeof first.header === 'string' && first.header.includes('Gemini')) {
+            return { parser: 'gemini_activity', reason: '配列の先頭の要素の header に「Gemini」が含まれる' };
+        }
+        // ChatGPT形式: 配列の各要素にmappingプロパティがある
+        if (first && first.mapping) {
+            return { parser: 'chatgpt', reason: '配列の先頭の要素に mapping がある' };
+        }
+        // Claude形式: 配列の各要素にchat_messagesプロパティがある
+        if (first && first.chat_messages) {
+            return { parser: 'claude', reason: '配列の先頭の要素に chat_messages がある' };
+        }
+        // 形式1: 配列形式 (conversations array)
+        if (Array.isArray(data)) {
+            return { parser: 'array', reason: 'JSONが配列（各要素を会話として解析）' };
+        }
+        if (!data || typeof data !== 'object') {
+            return { parser: 'generic', reason: 'JSONがオブジェクトでも配列でもない' };
+        }
+        // 形式2: オブジェクト形式 (conversations property)
+        if (data.conversations) {
+            return { parser: 'conversations', reason: 'conversations プロパティがある' };
+        }
+        // 形式3: Google Takeout形式
+        if (data.chats || data.history) {
+            return { parser: 'takeout', reason: `${data.chats ? 'chats' : 'history'} プロパティがある` };
+        }
+        // 形式4: 単一の会話オブジェクト
+        if (data.messages || data.content) {
+            return { parser: 'single', reason: 'messages / content プロパティがある' };
+        }
+        // 形式5: Gemini API形式 (contents配列)
+        if (data.contents) {
+            return { parser: 'api', reason: 'contents プロパティがある' };
+        }
+        return { parser: 'generic', reason: 'どの形式にも当てはまらないため、キー名（conversation / chat / message / history）から推測' };
+    }
+
+    /**
+     * 指定した形式のパーサーで解析
+     * 形式を手動で指定した場合に備え、JSONの構造が合わないときは診断情報に記録して読み飛ばす
+     */
+    runParser(parser, data) {
+        const isObject = data && typeof data === 'object' && !Array.isArray(data);
+        const listAt = (value, path) => {
+            if (Array.isArray(value)) {
+                this.diagnostics.conversationPaths.push(path);
+                return value;
+            }
+            this.addDiagnostic('warnings', `${PARSER_LABELS[parser]}として解析できません（${path} が配列ではない）`, path);
+            return [];
+        };
+
+        switch (parser) {
+            case 'gemini_activity':
+                this.parseGeminiActivityFormat(listAt(data, '$'));
+                break;
+            case 'chatgpt':
+            case 'array':
+                // { conversations: [...] } の形も受け付ける
+                if (isObject && data.conversations) {
+                    this.parseArrayFormat(listAt(data.conversations, '$.conversations'), '$.conversations');
+                } else {
+                    this.parseArrayFormat(listAt(data, '$'));
+                }
+                break;
+            case 'claude':
+                this.parseClaudeFormat(listAt(data, '$'));
+                break;
+            case 'conversations':
+                this.parseArrayFormat(listAt(isObject ? data.conversations : null, '$.conversations'), '$.conversations');
+                break;
+            case 'takeout': {
+                const key = isObject && !data.chats && data.history ? 'history' : 'chats';
+                this.parseTakeoutFormat(listAt(isObject ? data[key] : null, `$.${key}`), `$.${key}`);
+                break;
+            }
+            case 'single':
+                if (isObject) {
+                    this.diagnostics.conversationPaths.push('$');
+                    this.parseSingleConversation(data);
+                } else {
+                    this.addDiagnostic('warnings', `${PARSER_LABELS[parser]}として解析できません（JSONがオブジェクトではない）`, '$');
+                }
+                break;
+            case 'api':
+                if (isObject && Array.isArray(data.contents)) {
+                    this.diagnostics.conversationPaths.push('$.contents');
+                    this.parseApiFormat(data);
+                } else {
+                    this.addDiagnostic('warnings', `${PARSER_LABELS[parser]}として解析できません（$.contents が配列ではない）`, '$.contents');
+                }
+                break;
+            case 'mapping':
+                this.parseFieldMapping(data, this.options.fieldMapping);
+                break;
+            default:
+                // 汎用的な解析を試みる（会話として解析したパスは parseGenericFormat で記録）
+                this.parseGenericFormat(data);
+        }
+    }
+
+    /**
+     * ファイルごとの診断情報の初期値
+     * 各カテゴリは { 理由: { count, samples: [JSONパス] } }
+     */
+    createDiagnostics() {
+        return {
+            parser: null,
+            parserReason: '',
+            sourceReason: '',
+            conversationPaths: [], // 会話の一覧として解析したJSONパス
+            messageCount: 0,
+            jsonShape: null, // 会話が見つからなかった場合のJSONの概要
+            skippedConversations: {},
+            skippedMessages: {},
+            unknownContentTypes: {},
+            warnings: {}
+        };
+    }
+
+    /**
+     * 診断情報に件数とJSONパスの例を記録
+     * 同じパスは1回だけ数える（分岐ごとに出力する場合は同じノードを何度も辿るため）
+     */
+    addDiagnostic(category, reason, path = null) {
+        if (!this.diagnostics) return;
+        if (path) {
+            const seenKey = `${category}\u0000${reason}\u0000${path}`;
+            if (this.diagnosticPaths.has(seenKey)) return;
+            this.diagnosticPaths.add(seenKey);
+        }
+
+        const entries = this.diagnostics[category];
+        const entry = entries[reason] || (entries[reason] = { count: 0, samples: [] });
+        entry.count++;
+        if (path && entry.samples.length < DIAGNOSTIC_SAMPLE_LIMIT) {
+            entry.samples.push(path);
+        }
+    }
+
+    /**
+     * JSONパスを1段階伸ばす（$[0].mapping["node-id"] のような表記）
+     * base が null の場合はパスを記録しない
+     */
+    jsonPath(base, key) {
+        if (base === null) return null;
+        if (typeof key === 'number') return `${base}[${key}]`;
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+    }
+
+    /**
+     * 会話が見つからなかったJSONの概要（先頭の要素やトップレベルのキー）
+     */
+    describeJsonShape(data) {
+        const keysOf = value => value && typeof value === 'object' && !Array.isArray(value)
+            ? Object.keys(value).slice(0, 20).join(', ') || '（なし）'
+            : typeof value;
+        if (Array.isArray(data)) {
+            return `配列（${data.length}件）: 先頭の要素のキー ${data.length > 0 ? keysOf(data[0]) : '（なし）'}`;
+        }
+        return data && typeof data === 'object' ? `オブジェクト: キー ${keysOf(data)}` : typeof data;
+    }
+
+    /**
+     * ファイル名からソースを検出
+     */
+    detectSourceFromFileName() {
+        if (!this.fileName) return;
+
+        const lowerName = this.fileName.toLowerCase();
+
+        // Geminiのファイル名パターン
+        const geminiPatterns = [
+            'myactivity.json',
+            'マイアクティビティ.json',
+            'my_activity.json',
+            'gemini'
+        ];
+
+        // ChatGPTのファイル名パターン
+        const chatgptPatterns = [
+            'conversations.json',
+            'chatgpt'
+        ];
+
+        // Geminiファイル名チェック
+        const geminiPattern = geminiPatterns.find(pattern => lowerName.includes(pattern.toLowerCase()));
+        if (geminiPattern) {
+            this.detectedSource = 'Gemini';
+            this.diagnostics.sourceReason = `ファイル名に「${geminiPattern}」が含まれる`;
+            return;
+        }
+
+        // ChatGPTファイル名チェック
+        const chatgptPattern = chatgptPatterns.find(pattern => lowerName.includes(pattern.toLowerCase()));
+        if (chatgptPattern) {
+            this.detectedSource = 'ChatGPT';
+            this.diagnostics.sourceReason = `ファイル名に「${chatgptPattern}」が含まれる`;
+            return;
+        }
+    }
+
+    parseArrayFormat(conversations, basePath = '$') {
+        conversations.forEach((conv, index) => {
+            const convPath = this.jsonPath(basePath, index);
+            if (!conv || typeof conv !== 'object') {
+                this.addDiagnostic('skippedConversations', '会話がオブジェクトではない', convPath);
+                return;
+            }
+
+            // ChatGPT: id がルートレベルにある場合を優先
+            // id がない場合は current_node や mapping から取得を試みる
+            let conversationId = conv.id || conv.conversation_id || conv.chat_id || conv.uuid;
+
+            // ChatGPTの current_node を使用（参照スクリプトと同様）
+            if (!conversationId && conv.current_node) {
+                conversationId = conv.current_node;
+            }
+
+            // それでもなければ mapping から抽出
+            if (!conversationId && conv.mapping) {
+                conversationId = this.extractConversationIdFromMapping(conv.mapping);
+            }
+
+            const conversation = {
+                id: conversationId || `conversation_${index + 1}`,
+                title: conv.title || conv.name || `会話 ${index + 1}`,
+                createTime: this.parseTimestamp(conv.create_time || conv.created_at || conv.created || conv.timestamp),
+                updateTime: this.parseTimestamp(conv.update_time || conv.updated_at || conv.updated || conv.modified),
+                model: conv.default_model_slug || conv.model || null,
+                project: conv.gizmo_id || null, // ChatGPTのプロジェクト / GPT
+                messages: []
+            };
+
+            // メッセージを解析
+            const messagesKey = ['messages', 'mapping', 'content', 'history'].find(key => conv[key]);
+            const messages = messagesKey ? conv[messagesKey] : [];
+            const messagesPath = messagesKey ? this.jsonPath(convPath, messagesKey) : convPath;
+
+            if (conv.mapping && this.options.branchMode === 'per_leaf') {
+                // 分岐（葉ノード）ごとに別の会話として出力
+                const branches = this.getBranchMessages(conv.mapping, conv.current_node, messagesPath);
+                if (branches.length > 1) {
+                    this.pushBranchConversations(conversation, branches);
+                    return;
+                }
+                conversation.messages = branches[0] || [];
+                conversation._isChatGPT = true;
+            } else if (conv.mapping) {
+                // ChatGPT形式のマッピング構造（current_nodeを使用してメッセージチェーンを辿る）
+                if (this.options.branchMode === 'variants') {
+                    conversation.messages = this.parseMappingTree(conv.mapping, conv.current_node, messagesPath);
+                } else {
+                    conversation.messages = this.parseMapping(conv.mapping, conv.current_node, messagesPath);
+                    this.recordUnusedBranches(conv.mapping, conv.current_node, messagesPath);
+                }
+                conversation._isChatGPT = true;
+            } else if (Array.isArray(messages)) {
+                messages.forEach((msg, msgIndex) => {
+                    const parsed = this.parseMessage(msg, this.jsonPath(messagesPath, msgIndex));
+                    if (parsed) {
+                        conversation.messages.push(parsed);
+                    }
+                });
+            } else {
+                this.addDiagnostic('skippedMessages', `メッセージが配列ではない（${messagesKey}）`, messagesPath);
+            }
+
+            if (conversation.messages.length > 0 || conv.title) {
+                if (conversation.messages.length === 0) {
+                    this.addDiagnostic('warnings', 'メッセージのない会話（タイトルのみ出力）', convPath);
+                }
+                this.conversations.push(conversation);
+            } else {
+                this.addDiagnostic('skippedConversations', 'メッセージもタイトルもない', convPath);
+            }
+        });
+    }
+
+    /**
+     * ChatGPTのmapping構造から会話IDを抽出
+     * 最初のユーザーメッセージのIDを使用
+     */
+    extractConversationIdFromMapping(mapping) {
+        const nodeIds = Object.keys(mapping);
+
+        // 最初のユーザーメッセージを探す
+        for (const nodeId of nodeIds) {
+            const node = mapping[nodeId];
+            if (node.message &&
+                node.message.author &&
+                node.message.author.role === 'user' &&
+                node.message.content &&
+                node.message.content.content_type === 'text') {
+                return nodeId;
+            }
+        }
+
+        // ユーザーメッセージがなければ、client-created-root以外の最初のノードを使用
+        for (const nodeId of nodeIds) {
+            if (nodeId !== 'client-created-root' && !nodeId.startsWith('client-')) {
+                return nodeId;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Claude (claude.ai) のエクスポート形式をパース
+     * { uuid, name, created_at, chat_messages: [{ sender, text, content: [...], attachments, files }] }
+     */
+    parseClaudeFormat(conversations) {
+        conversations.forEach((conv, index) => {
+            const convPath = this.jsonPath('$', index);
+            if (!conv || typeof conv !== 'object') {
+                this.addDiagnostic('skippedConversations', '会話がオブジェクトではない', convPath);
+                return;
+            }
+
+            const conversation = {
+                id: conv.uuid || conv.id || `conversation_${index + 1}`,
+                title: conv.name || `会話 ${index + 1}`,
+                createTime: this.parseTimestamp(conv.created_at),
+                updateTime: this.parseTimestamp(conv.updated_at),
+                messages: []
+            };
+
+            (conv.chat_messages || []).forEach((msg, msgIndex) => {
+                const parsed = this.parseClaudeMessage(msg, this.jsonPath(`${convPath}.chat_messages`, msgIndex));
+                if (parsed) {
+                    conversation.messages.push(parsed);
+                }
+            });
+
+            if (conversation.messages.length > 0 || conv.name) {
+                if (conversation.messages.length === 0) {
+                    this.addDiagnostic('warnings', 'メッセージのない会話（タイトルのみ出力）', convPath);
+                }
+                this.conversations.push(conversation);
+            } else {
+                this.addDiagnostic('skippedConversations', 'メッセージもタイトルもない', convPath);
+            }
+        });
+    }
+
+    parseClaudeMessage(msg, path = null) {
+        if (!msg) {
+            this.addDiagnostic('skippedMessages', '空のメッセージ（null）', path);
+            return null;
+        }
+
+        // content ブロックのテキストを優先し、なければ text を使用
+        let content = '';
+        if (Array.isArray(msg.content) && msg.content.length > 0) {
+            msg.content.forEach((block, blockIndex) => {
+                if (block && block.type !== 'text') {
+                    this.addDiagnostic('unknownContentTypes', String(block.type),
+                        this.jsonPath(this.jsonPath(path, 'content'), blockIndex));
+                }
+            });
+            content = msg.content
+                .filter(block => block && block.type === 'text' && typeof block.text === 'string')
+                .map(block => block.text)
+                .join('\n\n');
+        }
+        if (!content.trim() && typeof msg.text === 'string') {
+            content = msg.text;
+        }
+
+        // 添付ファイル（テキスト抽出済み）とアップロードファイル（画像など）
+        const attachments = [
+            ...(msg.attachments || []).map(file => ({
+                name: file.file_name || 'attachment',
+                mimeType: file.file_type || '',
+                size: file.file_size || null,
+                content: file.extracted_content || ''
+            })),
+            ...(msg.files || []).map(file => ({
+                name: file.file_name || 'file',
+                mimeType: '',
+                size: null,
+                content: ''
+            }))
+        ];
+
+        if (!content.trim() && attachments.length === 0) {
+            this.addDiagnostic('skippedMessages', 'テキストも添付ファイルもない', path);
+            return null;
+        }
+
+        const message = {
+            role: msg.sender === 'human' ? 'user' : 'assistant',
+            content: content.trim(),
+            timestamp: this.parseTimestamp(msg.created_at)
+        };
+        if (attachments.length > 0) {
+            message.attachments = attachments;
+        }
+        return message;
+    }
+
+    parseTakeoutFormat(chats, basePath = '$.chats') {
+        if (!Array.isArray(chats)) {
+            this.addDiagnostic('warnings', '会話の一覧が配列ではない', basePath);
+            return;
+        }
+
+        chats.forEach((chat, index) => {
+            const chatPath = this.jsonPath(basePath, index);
+            const conversation = {
+                id: chat.id || `chat_${index + 1}`,
+                title: chat.title || chat.name || `会話 ${index + 1}`,
+                createTime: this.parseTimestamp(chat.createTime || chat.created),
+                updateTime: this.parseTimestamp(chat.updateTime || chat.modified),
+                messages: []
+            };
+
+            const messagesKey = ['messages', 'contents', 'turns'].find(key => chat[key]) || 'messages';
+            const messages = chat[messagesKey] || [];
+            messages.forEach((msg, msgIndex) => {
+                const parsed = this.parseMessage(msg, this.jsonPath(this.jsonPath(chatPath, messagesKey), msgIndex));
+                if (parsed) {
+                    conversation.messages.push(parsed);
+                }
+            });
+
+            if (conversation.messages.length > 0) {
+                this.conversations.push(conversation);
+            } else {
+                this.addDiagnostic('skippedConversations', 'メッセージがない', chatPath);
+            }
+        });
+    }
+
+    /**
+     * Gemini マイアクティビティ形式をパース
+     * 各エントリは個別のメッセージ（ユーザーの質問 + AIの回答がセット）
+     * 会話IDや前後のエントリとの時間差をもとに、エントリを1つの会話（セッション）にまとめる
+     * 会話IDがないセッションのIDは最初のエントリの日時と質問から作る（アクティビティが増えても変わらない）
+     */
+    parseGeminiActivityFormat(activities) {
+        if (!Array.isArray(activities)) return;
+
+        // 各アクティビティを逆順（古い順）に処理
+        const entries = activities
+            .map((activity, index) => this.parseGeminiActivityEntry(activity, this.jsonPath('$', index)))
+            .reverse()
+            .filter(entry => entry.messages.length > 0);
+
+        const usedIds = new Set();
+        this.groupGeminiSessions(entries).forEach((session, index) => {
+            const first = session.entries[0];
+            const last = session.entries[session.entries.length - 1];
+            const firstPrompt = session.entries.map(entry => entry.userMessage).find(text => text) || '';
+
+            let id = session.id;
+            if (!id) {
+                const baseId = `gemini_activity_${this.computeContentHash(JSON.stringify([
+                    first.timestamp ? first.timestamp.toISOString() : null, first.userMessage
+                ]))}`;
+                id = baseId;
+                for (let n = 2; usedIds.has(id); n++) {
+                    id = `${baseId}_${n}`;
+                }
+            }
+            usedIds.add(id);
+
+            // 会話オブジェクトを作成
+            const conversation = {
+                id,
+                title: this.generateTitle(firstPrompt) || `会話 ${index + 1}`,
+                createTime: first.timestamp,
+                updateTime: last.timestamp,
+                messages: session.entries.flatMap(entry => entry.messages)
+            };
+
+            this.conversations.push(conversation);
+        });
+    }
+
+    /**
+     * マイアクティビティの1エントリからメッセージを抽出
+     */
+    parseGeminiActivityEntry(activity, path = null) {
+        // ユーザーのメッセージを抽出
+        let userMessage = '';
+        if (activity.title && activity.title.startsWith('送信したメッセージ:')) {
+            userMessage = activity.title.replace('送信したメッセージ:', '').trim();
+        } else if (activity.title) {
+            userMessage = activity.title;
+        }
+
+        // AI応答を抽出（HTMLをMarkdownに変換）
+        let aiResponse = '';
+        if (activity.safeHtmlItem && activity.safeHtmlItem.length > 0) {
+            aiResponse = activity.safeHtmlItem
+                .map(item => this.htmlToMarkdown(item.html || ''))
+                .filter(text => text)
+                .join('\n\n');
+        }
+
+        // タイムスタンプを抽出
+        const timestamp = this.parseTimestamp(activity.time);
+        const messages = [];
+
+        // 添付ファイル（ユーザーがアップロードしたもの）と画像（生成された画像など）
+        // Takeoutではマイアクティビティと同じフォルダにファイル名のまま保存されている
+        const attachedFiles = this.getGeminiActivityFileNames(activity.attachedFiles);
+        const imageFiles = this.options.includeImages ? this.getGeminiActivityFileNames(activity.imageFile) : [];
+
+        // ユーザーメッセージを追加
+        if (userMessage || attachedFiles.length > 0) {
+            const message = {
+                role: 'user',
+                content: userMessage,
+                timestamp: timestamp
+            };
+            if (attachedFiles.length > 0) {
+                message.attachments = attachedFiles.map(name => ({ name, mimeType: '', size: null, content: '' }));
+            }
+            messages.push(message);
+        }
+
+        // AI応答を追加
+        if (aiResponse.trim() || imageFiles.length > 0) {
+            const message = {
+                role: 'assistant',
+                content: aiResponse.trim(),
+                timestamp: timestamp
+            };
+            if (imageFiles.length > 0) {
+                message.images = imageFiles.map(name => ({ id: name, name, width: null, height: null }));
+            }
+            messages.push(message);
+        }
+
+        if (messages.length === 0) {
+            this.addDiagnostic('skippedMessages', 'プロンプトも回答もないアクティビティ', path);
+        }
+
+        return {
+            conversationId: this.extractGeminiConversationId(activity),
+            userMessage,
+            timestamp,
+            messages
+        };
+    }
+
+    /**
+     * attachedFiles・imageFile のファイル名の一覧（文字列・配列・{ name } のいずれにも対応）
+     */
+    getGeminiActivityFileNames(value) {
+        if (!value) return [];
+        return (Array.isArray(value) ? value : [value])
+            .map(file => (typeof file === 'string' ? file : file && (file.name || file.fileName || file.file_name)))
+            .filter(name => typeof name === 'string' && name.trim())
+            .map(name => name.trim());
+    }
+
+    /**
+     * アクティビティに含まれる会話IDを取得（gemini.google.com/app/<id> のURLも対象）
+     */
+    extractGeminiConversationId(activity) {
+        const directId = activity.conversationId || activity.conversation_id || activity.chatId;
+        if (directId) return String(directId);
+
+        const urls = [activity.titleUrl, ...(activity.subtitles || []).map(subtitle => subtitle.url)];
+        for (const url of urls) {
+            const match = typeof url === 'string' && url.match(/gemini\.google\.com\/(?:u\/\d+\/)?app\/([0-9a-zA-Z_-]+)/);
+            if (match) return match[1];
+        }
+
+        return null;
+    }
+
+    /**
+     * エントリをセッションにまとめる
+     * 会話IDがあればIDごとに、なければ直前のエントリとの間隔がしきい値以内なら同じセッションとする
+     */
+    groupGeminiSessions(entries) {
+        const gapMs = Math.max(0, Number(this.options.geminiSessionGap) || 0) * 60 * 1000;
+        const sessions = [];
+        const sessionsById = new Map();
+        let lastSession = null;
+
+        entries.forEach(entry => {
+            if (entry.conversationId) {
+                if (!sessionsById.has(entry.conversationId)) {
+                    const session = { id: entry.conversationId, entries: [] };
+                    sessionsById.set(entry.conversationId, session);
+                    sessions.push(session);
+                }
+                sessionsById.get(entry.conversationId).entries.push(entry);
+                return;
+            }
+
+            const previous = lastSession && lastSession.entries[lastSession.entries.length - 1];
+            const elapsed = previous && previous.timestamp && entry.timestamp
+                ? entry.timestamp - previous.timestamp
+                : null;
+
+            if (gapMs > 0 && elapsed !== null && elapsed >= 0 && elapsed <= gapMs) {
+                lastSession.entries.push(entry);
+            } else {
+                lastSession = { id: null, entries: [entry] };
+                sessions.push(lastSession);
+            }
+        });
+
+        return sessions;
+    }
+
+    /**
+     * HTMLをMarkdownに変換
+     * コードブロック・表・リンク・強調・入れ子のリストを保持する
+     */
+    htmlToMarkdown(html) {
+        if (!html) return '';
+        const root = this.parseHtml(html);
+        return this.renderHtmlBlocks(root.children, '\n\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * HTMLを簡易的な要素ツリーに変換（DOMに依存しない）
+     */
+    parseHtml(html) {
+        const root = { tag: '#root', attrs: {}, children: [] };
+        const stack = [root];
+        const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>|[^<]+|</g;
+        const current = () => stack[stack.length - 1];
+        let match;
+
+        while ((match = tokenPattern.exec(html)) !== null) {
+            const [token, cdata, closeTag, openTag, attrText, selfClosing] = match;
+
+            if (cdata !== undefined) {
+                current().children.push({ text: cdata });
+            } else if (closeTag) {
+                // 対応する開始タグまで閉じる（対応がなければ無視）
+                const tag = closeTag.toLowerCase();
+                const index = stack.map(node => node.tag).lastIndexOf(tag);
+                if (index > 0) {
+                    stack.length = index;
+                }
+            } else if (openTag) {
+                const tag = openTag.toLowerCase();
+                const node = { tag, attrs: this.parseHtmlAttributes(attrText || ''), children: [] };
+
+                // 閉じ忘れの多い要素は同じ要素の開始で暗黙的に閉じる
+                if (['li', 'p', 'td', 'th', 'tr', 'dt', 'dd', 'option'].includes(tag)) {
+                    const sameIndex = stack.map(n => n.tag).lastIndexOf(tag);
+                    const boundary = Math.max(
+                        stack.map(n => n.tag).lastIndexOf('ul'),
+                        stack.map(n => n.tag).lastIndexOf('ol'),
+                        stack.map(n => n.tag).lastIndexOf('table')
+                    );
+                    if (sameIndex > 0 && sameIndex > boundary) {
+                        stack.length = sameIndex;
+                    }
+                }
+
+                current().children.push(node);
+                if (!selfClosing && !HTML_VOID_TAGS.has(tag)) {
+                    stack.push(node);
+                }
+            } else if (!token.startsWith('<!')) {
+                current().children.push({ text: this.decodeHtmlEntities(token) });
+            }
+        }
+
+        return root;
+    }
+
+    parseHtmlAttributes(attrText) {
+        const attrs = {};
+        const attrPattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+        let match;
+
+        while ((match = attrPattern.exec(attrText)) !== null) {
+            const value = match[2] ?? match[3] ?? match[4] ?? '';
+            attrs[match[1].toLowerCase()] = this.decodeHtmlEntities(value);
+        }
+
+        return attrs;
+    }
+
+    /**
+     * 名前付き・数値文字参照をデコード
+     */
+    decodeHtmlEntities(text) {
+        if (!text || !text.includes('&')) return text || '';
+
+        return text.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z][a-zA-Z0-9]*));/g, (entity, dec, hex, name) => {
+            if (name) {
+                return Object.prototype.hasOwnProperty.call(HTML_NAMED_ENTITIES, name)
+                    ? String.fromCodePoint(HTML_NAMED_ENTITIES[name])
+                    : entity;
+            }
+            const codePoint = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+            if (codePoint === 0 || codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+                return '\uFFFD';
+            }
+            return String.fromCodePoint(codePoint);
+        });
+    }
+
+    /**
+     * 子要素をブロック単位でMarkdownに変換
+     * 連続するインライン要素は1つの段落にまとめる
+     */
+    renderHtmlBlocks(nodes, separator) {
+        const blocks = [];
+        let inline = '';
+
+        const flush = () => {
+            const text = inline
+                .split('\n')
+                .map(line => line.replace(/[ \t]+/g, ' ').trim())
+                .join('\n')
+                .trim();
+            if (text) blocks.push(text);
+            inline = '';
+        };
+
+        nodes.forEach(node => {
+            if (node.text !== undefined || !HTML_BLOCK_TAGS.has(node.tag)) {
+                inline += this.renderHtmlInline(node);
+                return;
+            }
+            flush();
+            const block = this.renderHtmlBlock(node);
+            if (block) blocks.push(block);
+        });
+        flush();
+
+        return blocks.join(separator);
+    }
+
+    renderHtmlBlock(node) {
+        const { tag } = node;
+
+        if (/^h[1-6]$/.test(tag)) {
+            const text = this.renderHtmlInlineChildren(node).replace(/\s+/g, ' ').trim();
+            return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+        }
+
+        switch (tag) {
+            case 'hr':
+                return '---';
+            case 'pre':
+                return this.renderHtmlCodeBlock(node);
+            case 'ul':
+            case 'ol':
+                return this.renderHtmlList(node);
+            case 'li':
+                return this.renderHtmlListItem(node, '- ');
+            case 'table':
+                return this.renderHtmlTable(node);
+            case 'blockquote':
+                return this.renderHtmlBlocks(node.children, '\n\n')
+                    .split('\n')
+                    .map(line => line ? `> ${line}` : '>')
+                    .join('\n');
+            case 'dt':
+            case 'summary': {
+                const text = this.renderHtmlInlineChildren(node).trim();
+                return text ? `**${text}**` : '';
+            }
+            default:
+                return this.renderHtmlBlocks(node.children, '\n\n');
+        }
+    }
+
+    renderHtmlInlineChildren(node) {
+        return node.children.map(child => this.renderHtmlInline(child)).join('');
+    }
+
+    renderHtmlInline(node) {
+        if (node.text !== undefined) {
+            return node.text.replace(/\s+/g, ' ');
+        }
+
+        const wrap = (marker) => {
+            const text = this.renderHtmlInlineChildren(node);
+            const trimmed = text.trim();
+            if (!trimmed) return text;
+            // 前後の空白は記号の外側に出す
+            const leading = text.match(/^\s*/)[0] ? ' ' : '';
+            const trailing = text.match(/\s*$/)[0] ? ' ' : '';
+            return `${leading}${marker}${trimmed}${marker}${trailing}`;
+        };
+
+        switch (node.tag) {
+            case 'br':
+                return '\n';
+            case 'strong':
+            case 'b':
+                return wrap('**');
+            case 'em':
+            case 'i':
+            case 'cite':
+                return wrap('*');
+            case 'del':
+            case 's':
+            case 'strike':
+                return wrap('~~');
+            case 'code':
+            case 'kbd':
+            case 'samp':
+                return this.renderHtmlInlineCode(this.getHtmlText(node));
+            case 'a': {
+                const text = this.renderHtmlInlineChildren(node).replace(/\s+/g, ' ').trim();
+                const href = node.attrs.href;
+                if (!href || href.startsWith('javascript:')) return text;
+                if (!text || text === href) return `<${href}>`;
+                return `[${text}](${href.replace(/ /g, '%20').replace(/\)/g, '%29')})`;
+            }
+            case 'img': {
+                const src = node.attrs.src;
+                return src ? `![${node.attrs.alt || ''}](${src.replace(/ /g, '%20')})` : '';
+            }
+            case 'script':
+            case 'style':
+            case 'template':
+                return '';
+            default:
+                if (HTML_BLOCK_TAGS.has(node.tag)) {
+                    // インライン要素内のブロック要素は改行で区切る
+                    return `\n${this.renderHtmlBlock(node)}\n`;
+                }
+                return this.renderHtmlInlineChildren(node);
+        }
+    }
+
+    renderHtmlInlineCode(text) {
+        const code = text.replace(/\s+/g, ' ');
+        if (!code.trim()) return code;
+        // コード内のバッククォートより長いフェンスを使う
+        const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return `${fence}${padding}${code}${padding}${fence}`;
+    }
+
+    renderHtmlCodeBlock(node) {
+        const codeNode = node.children.find(child => child.tag === 'code');
+        const language = this.getHtmlCodeLanguage(codeNode) || this.getHtmlCodeLanguage(node);
+        const code = this.getHtmlText(node).replace(/^\n/, '').replace(/\s+$/, '');
+
+        const longest = Math.max(0, ...(code.match(/^`{3,}/gm) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longest + 1));
+        return `${fence}${language}\n${code}\n${fence}`;
+    }
+
+    getHtmlCodeLanguage(node) {
+        if (!node) return '';
+        const className = node.attrs.class || '';
+        const match = className.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+        return match ? match[1] : (node.attrs['data-language'] || node.attrs['data-lang'] || '');
+    }
+
+    /**
+     * 要素内のテキストをそのまま取得（<br> は改行として扱う）
+     */
+    getHtmlText(node) {
+        if (node.text !== undefined) return node.text;
+        if (node.tag === 'br') return '\n';
+        return node.children.map(child => this.getHtmlText(child)).join('');
+    }
+
+    renderHtmlList(node) {
+        const ordered = node.tag === 'ol';
+        let number = ordered && node.attrs.start ? parseInt(node.attrs.start, 10) || 1 : 1;
+        const items = [];
+
+        node.children.forEach(child => {
+            if (child.tag === 'li') {
+                items.push(this.renderHtmlListItem(child, ordered ? `${number++}. ` : '- '));
+            } else if ((child.tag === 'ul' || child.tag === 'ol') && items.length > 0) {
+                // <ul> 直下に入れ子のリストがある不正なHTMLは直前の項目に含める
+                const indent = ordered ? `${number - 1}. `.length : 2;
+                items[items.length - 1] += '\n' + this.indentLines(this.renderHtmlList(child), indent);
+            } else if (child.text === undefined || child.text.trim()) {
+                const text = this.renderHtmlBlocks([child], '\n').trim();
+                if (text) items.push(this.renderHtmlListItem({ children: [{ text }] }, ordered ? `${number++}. ` : '- '));
+            }
+        });
+
+        return items.join('\n');
+    }
+
+    renderHtmlListItem(node, marker) {
+        const body = this.renderHtmlBlocks(node.children, '\n');
+        return marker + this.indentLines(body, marker.length).trimStart();
+    }
+
+    indentLines(text, width) {
+        const indent = ' '.repeat(width);
+        return text.split('\n').map(line => line ? indent + line : line).join('\n');
+    }
+
+    renderHtmlTable(node) {
+        // 入れ子の表は含めずに行を収集
+        const rows = [];
+        const collectRows = (parent) => {
+            parent.children.forEach(child => {
+                if (child.tag === 'tr') {
+                    rows.push(child.children.filter(cell => cell.tag === 'td' || cell.tag === 'th'));
+                } else if (child.children && child.tag !== 'table') {
+                    collectRows(child);
+                }
+            });
+        };
+        collectRows(node);
+
+        if (rows.length === 0) return '';
+
+        const columnCount = Math.max(...rows.map(cells => cells.length));
+        if (columnCount === 0) return '';
+
+        const cellText = (cell) => this.renderHtmlBlocks(cell.children, '\n')
+            .trim()
+            .replace(/\|/g, '\\|')
+            .replace(/\n+/g, '<br>');
+        const toRow = (cells) => {
+            const texts = cells.map(cellText);
+            while (texts.length < columnCount) texts.push('');
+            return `| ${texts.join(' | ')} |`;
+        };
+
+        const alignments = [];
+        for (let i = 0; i < columnCount; i++) {
+            const cell = rows[0][i];
+            const style = cell ? `${cell.attrs.align || ''} ${cell.attrs.style || ''}` : '';
+            const align = (style.match(/(?:^|[\s;:])(left|center|right)\b/) || [])[1];
+            alignments.push(align === 'center' ? ':---:' : align === 'right' ? '---:' : align === 'left' ? ':---' : '---');
+        }
+
+        const lines = [toRow(rows[0]), `| ${alignments.join(' | ')} |`];
+        rows.slice(1).forEach(cells => lines.push(toRow(cells)));
+        return lines.join('\n');
+    }
+
+    parseSingleConversation(data) {
+        const conversation = {
+            id: data.id || 'conversation_1',
+            title: data.title || data.name || '会話',
+            createTime: this.parseTimestamp(data.create_time || data.created_at),
+            updateTime: this.parseTimestamp(data.update_time || data.updated_at),
+            model: data.default_model_slug || data.model || null,
+            messages: []
+        };
+
+        const messagesKey = ['messages', 'content', 'history'].find(key => data[key]) || 'messages';
+        const messages = data[messagesKey] || [];
+        if (Array.isArray(messages)) {
+            messages.forEach((msg, msgIndex) => {
+                const parsed = this.parseMessage(msg, this.jsonPath(`$.${messagesKey}`, msgIndex));
+                if (parsed) {
+                    conversation.messages.push(parsed);
+                }
+            });
+        } else {
+            this.addDiagnostic('skippedMessages', `メッセージが配列ではない（${messagesKey}）`, `$.${messagesKey}`);
+        }
+
+        if (conversation.messages.length > 0) {
+            this.conversations.push(conversation);
+        } else {
+            this.addDiagnostic('skippedConversations', 'メッセージがない', '$');
+        }
+    }
+
+    parseApiFormat(data) {
+        // Gemini API形式: { contents: [{ role: "user", parts: [{ text: "..." }] }] }
+        const conversation = {
+            id: 'api_conversation_1',
+            title: '会話',
+            createTime: new Date(),
+            updateTime: new Date(),
+            messages: []
+        };
+
+        data.contents.forEach((content, index) => {
+            const role = content.role || 'user';
+            const parts = content.parts || [];
+
+            parts.forEach((part, partIndex) => {
+                if (part.text) {
+                    conversation.messages.push({
+                        role: role === 'model' ? 'assistant' : role,
+                        content: part.text,
+                        timestamp: null
+                    });
+                } else {
+                    // inlineData・functionCall などテキスト以外のパート
+                    const type = Object.keys(part || {}).find(key => key !== 'text') || 'text（空）';
+                    this.addDiagnostic('unknownContentTypes', type, `$.contents[${index}].parts[${partIndex}]`);
+                }
+            });
+        });
+
+        if (conversation.messages.length > 0) {
+            this.conversations.push(conversation);
+        } else {
+            this.addDiagnostic('skippedConversations', 'テキストのあるパートがない', '$.contents');
+        }
+    }
+
+    parseGenericFormat(data) {
+        // 汎用的な解析：オブジェクトのすべてのプロパティを走査
+        const findConversations = (obj, path = '$') => {
+            if (!obj || typeof obj !== 'object') return;
+
+            if (Array.isArray(obj) && obj.length > 0) {
+                // 配列が会話のリストかチェック
+                const firstItem = obj[0];
+                if (firstItem && (firstItem.messages || firstItem.content || firstItem.parts || firstItem.role)) {
+                    this.diagnostics.conversationPaths.push(path);
+                    this.parseArrayFormat(obj, path);
+                    return;
+                }
+            }
+
+            for (const key of Object.keys(obj)) {
+                const value = obj[key];
+                const valuePath = this.jsonPath(path, Array.isArray(obj) ? Number(key) : key);
+                if (key.toLowerCase().includes('conversation') ||
+                    key.toLowerCase().includes('chat') ||
+                    key.toLowerCase().includes('message') ||
+                    key.toLowerCase().includes('history')) {
+                    if (Array.isArray(value)) {
+                        this.diagnostics.conversationPaths.push(valuePath);
+                        this.parseArrayFormat(value, valuePath);
+                        continue; // 同じ配列を会話のリストとして二重に解析しない
+                    }
+                }
+                findConversations(value, valuePath);
+            }
+        };
+
+        findConversations(data);
+    }
+
+    /**
+     * カスタムマッピングでの解析（社内チャットボットのログなど、対応していない形式向け）
+     * mapping の各項目はJSONPath風の式（$.sessions[*]、messages[*]、body.text など）
+     *   conversations: 会話の一覧（JSON全体から）
+     *   id / title / createTime / updateTime / messages: 会話から
+     *   role / content / timestamp: メッセージから
+     *   roleMap: ロールの読み替え（'customer=user, agent=assistant'）
+     * 配列を指す式は [*] を省略できる
+     */
+    parseFieldMapping(data, mapping) {
+        if (!mapping || !mapping.conversations || !mapping.messages || !mapping.content) {
+            throw new Error('カスタムマッピングには会話の一覧・メッセージ・本文の場所が必要です');
+        }
+
+        const roleMap = {};
+        String(mapping.roleMap || '').split(',').forEach(pair => {
+            const [from, to] = pair.split('=').map(text => text.trim().toLowerCase());
+            if (from && to) roleMap[from] = to;
+        });
+        const first = (value, expression) => {
+            if (!expression) return undefined;
+            const results = this.queryJsonPath(value, expression);
+            return results.length > 0 ? results[0].value : undefined;
+        };
+
+        this.diagnostics.conversationPaths.push(mapping.conversations);
+        this.queryJsonPathList(data, mapping.conversations).forEach(({ value: conv, path: convPath }, index) => {
+            const conversation = {
+                id: first(conv, mapping.id) || `conversation_${index + 1}`,
+                title: this.extractMappedText(first(conv, mapping.title)) || `会話 ${index + 1}`,
+                createTime: this.parseTimestamp(first(conv, mapping.createTime)),
+                updateTime: this.parseTimestamp(first(conv, mapping.updateTime)),
+                messages: []
+            };
+
+            this.queryJsonPathList(conv, mapping.messages, convPath).forEach(({ value: msg, path }) => {
+                const content = this.extractMappedText(first(msg, mapping.content)).trim();
+                if (!content) {
+                    this.addDiagnostic('skippedMessages', `本文（${mapping.content}）が空、または見つからない`, path);
+                    return;
+                }
+
+                const rawRole = String(first(msg, mapping.role) || '').toLowerCase();
+                if (!rawRole) {
+                    this.addDiagnostic('warnings', 'ロールが不明なメッセージ（user として出力）', path);
+                }
+                conversation.messages.push({
+                    role: this.normalizeRole(roleMap[rawRole] || rawRole) || 'user',
+                    content,
+                    timestamp: this.parseTimestamp(first(msg, mapping.timestamp))
+                });
+            });
+
+            if (conversation.messages.length === 0) {
+                this.addDiagnostic('skippedConversations', `メッセージ（${mapping.messages}）がない`, convPath);
+                return;
+            }
+
+            // 日時の場所を指定しなかった場合はメッセージの日時から求める
+            const times = conversation.messages.map(msg => msg.timestamp).filter(Boolean);
+            if (!conversation.createTime && times.length > 0) conversation.createTime = times[0];
+            if (!conversation.updateTime && times.length > 0) conversation.updateTime = times[times.length - 1];
+
+            conversation.id = String(conversation.id);
+            this.conversations.push(conversation);
+        });
+    }
+
+    /**
+     * マッピングで取り出した値をテキストにする（配列は改行で連結、オブジェクトは text / content を使う）
+     */
+    extractMappedText(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'string') return value;
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+        if (Array.isArray(value)) {
+            return value.map(item => this.extractMappedText(item)).filter(text => text).join('\n');
+        }
+        if (typeof value === 'object') {
+            return this.extractMappedText(value.text !== undefined ? value.text : value.content);
+        }
+        return '';
+    }
+
+    /**
+     * JSONPath風の式を評価し、一致した値とそのパスを返す
+     * 対応する記法: $（または @、省略可）、.key、['key']、["key"]、[0]、[-1]、[*]、.*
+     */
+    queryJsonPath(data, expression, basePath = '$') {
+        let results = [{ value: data, path: basePath }];
+
+        this.parseJsonPathExpression(expression).forEach(token => {
+            const next = [];
+            results.forEach(({ value, path }) => {
+                if (!value || typeof value !== 'object') return;
+
+                if (token.type === 'wildcard') {
+                    if (Array.isArray(value)) {
+                        value.forEach((item, index) => next.push({ value: item, path: this.jsonPath(path, index) }));
+                    } else {
+                        Object.keys(value).forEach(key => next.push({ value: value[key], path: this.jsonPath(path, key) }));
+                    }
+                } else if (token.type === 'index') {
+                    if (!Array.isArray(value)) return;
+                    const index = token.index < 0 ? value.length + token.index : token.index;
+                    if (index >= 0 && index < value.length) {
+                        next.push({ value: value[index], path: this.jsonPath(path, index) });
+                    }
+                } else if (Object.prototype.hasOwnProperty.call(value, token.key)) {
+                    next.push({ value: value[token.key], path: this.jsonPath(path, token.key) });
+                }
+            });
+            results = next;
+        });
+
+        return results;
+    }
+
+    /**
+     * 一覧を指す式を評価（結果が1つの配列なら、その要素を一覧とする）
+     */
+    queryJsonPathList(data, expression, basePath = '$') {
+        const results = this.queryJsonPath(data, expression, basePath);
+        if (results.length === 1 && Array.isArray(results[0].value)) {
+            return results[0].value.map((value, index) => ({ value, path: this.jsonPath(results[0].path, index) }));
+        }
+        return results;
+    }
+
+    /**
+     * JSONPath風の式をトークン（key / index / wildcard）に分ける
+     */
+    parseJsonPathExpression(expression) {
+        const text = String(expression).trim().replace(/^[$@]/, '');
+        const pattern = /\.?\*|\.?([^.[\]\s]+)|\[\s*(\*|-?\d+|'[^']*'|"(?:[^"\\]|\\.)*")\s*\]/y;
+        const tokens = [];
+
+        let pos = 0;
+        while (pos < text.length) {
+            pattern.lastIndex = pos;
+            const match = pattern.exec(text);
+            if (!match) {
+                throw new Error(`パスの書き方が正しくありません: ${expression}`);
+            }
+            pos = pattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'key', key: match[1] });
+            } else if (match[2] === undefined || match[2] === '*') {
+                tokens.push({ type: 'wildcard' });
+            } else if (/^-?\d+$/.test(match[2])) {
+                tokens.push({ type: 'index', index: Number(match[2]) });
+            } else {
+                const key = match[2].startsWith('"') ? JSON.parse(match[2]) : match[2].slice(1, -1);
+                tokens.push({ type: 'key', key });
+            }
+        }
+
+        return tokens;
+    }
+
+    parseMapping(mapping, currentNode = null, mappingPath = null) {
+        // ChatGPT形式のマッピング構造を解析
+        // 参照スクリプトと同様に current_node から親を辿って線形に再構築
+        const messages = [];
+
+        if (currentNode && mapping[currentNode]) {
+            // current_node から親を辿る方式
+            const chain = [];
+            const seen = new Set();
+            let current = currentNode;
+
+            while (current && mapping[current] && !seen.has(current)) {
+                seen.add(current);
+                const node = mapping[current];
+                const message = this.mappingNodeToMessage(node, this.jsonPath(mappingPath, current));
+
+                if (message) {
+                    chain.push(message);
+                }
+
+                current = node.parent;
+            }
+            if (current && seen.has(current)) {
+                this.addDiagnostic('warnings', 'mapping の parent が循環している（循環の手前まで出力）',
+                    this.jsonPath(mappingPath, current));
+            }
+
+            // 親から辿ったので逆順にする
+            chain.reverse();
+            return chain;
+        }
+
+        // current_node がない場合は従来のソート方式
+        const nodeIds = Object.keys(mapping);
+
+        // メッセージをソート
+        const sortedNodes = nodeIds
+            .map(id => ({ id, ...mapping[id] }))
+            .filter(node => node.message && node.message.content)
+            .sort((a, b) => {
+                const timeA = a.message.create_time || 0;
+                const timeB = b.message.create_time || 0;
+                return timeA - timeB;
+            });
+
+        sortedNodes.forEach(node => {
+            const message = this.mappingNodeToMessage(node, this.jsonPath(mappingPath, node.id));
+            if (message) {
+                messages.push(message);
+            }
+        });
+
+        return messages;
+    }
+
+    /**
+     * current_node の経路にないメッセージ（再生成前の回答・編集前のプロンプト）を診断情報に記録
+     */
+    recordUnusedBranches(mapping, currentNode, mappingPath) {
+        if (!currentNode || !mapping[currentNode]) return;
+
+        const onPath = new Set();
+        let current = currentNode;
+        while (current && mapping[current] && !onPath.has(current)) {
+            onPath.add(current);
+            current = mapping[current].parent;
+        }
+
+        Object.keys(mapping).forEach(nodeId => {
+            const msg = mapping[nodeId] && mapping[nodeId].message;
+            if (!onPath.has(nodeId) && msg && msg.author?.role !== 'system') {
+                this.addDiagnostic('skippedMessages', 'current_node の経路にない分岐（branchMode: current）',
+                    this.jsonPath(mappingPath, nodeId));
+            }
+        });
+    }
+
+    /**
+     * ChatGPTのmappingノードをメッセージに変換
+     * テキスト以外のコンテンツ（コード・実行結果・Web検索・画像・推論・ツール）はオプションに応じて出力
+     */
+    mappingNodeToMessage(node, path = null) {
+        const msg = node && node.message;
+        if (!msg) return null;
+
+        const author = msg.author?.role || 'user';
+        const metadata = msg.metadata || {};
+        if (author === 'system') {
+            this.addDiagnostic('skippedMessages', 'システムメッセージ', path);
+            return null;
+        }
+        if (metadata.is_visually_hidden_from_conversation) {
+            this.addDiagnostic('skippedMessages', '非表示のメッセージ（is_visually_hidden_from_conversation）', path);
+            return null;
+        }
+
+        const { text, images } = this.renderChatGPTContent(msg, path);
+        const attachments = this.extractChatGPTAttachments(metadata, images);
+        if (!text && images.length === 0 && attachments.length === 0) {
+            const contentType = (msg.content && msg.content.content_type) || 'text';
+            this.addDiagnostic('skippedMessages', `内容が空、またはオプションで除外（${contentType}）`, path);
+            return null;
+        }
+
+        const message = {
+            role: author === 'assistant' || author === 'model' ? 'assistant' : author === 'tool' ? 'tool' : 'user',
+            content: text,
+            timestamp: this.parseTimestamp(msg.create_time)
+        };
+        if (message.role === 'tool' && msg.author.name) {
+            message.name = msg.author.name;
+        }
+        if (message.role === 'assistant' && metadata.model_slug) {
+            message.model = metadata.model_slug;
+        }
+        if (images.length > 0) {
+            message.images = images;
+        }
+        if (attachments.length > 0) {
+            message.attachments = attachments;
+        }
+        return message;
+    }
+
+    /**
+     * メッセージにアップロードされたファイル（metadata.attachments）
+     * 本文に画像として含まれているもの（image_asset_pointer と同じファイルID）は除き、画像に元のファイル名を付ける
+     */
+    extractChatGPTAttachments(metadata, images) {
+        if (!Array.isArray(metadata.attachments)) return [];
+
+        const imagesById = new Map(images.map(image => [image.id, image]));
+        metadata.attachments.forEach(file => {
+            const image = file && imagesById.get(file.id);
+            if (image && file.name) image.name = file.name;
+        });
+
+        return metadata.attachments
+            .filter(file => file && !imagesById.has(file.id))
+            .filter(file => this.options.includeImages || !String(file.mime_type || '').startsWith('image/'))
+            .map(file => ({
+                id: file.id || '',
+                name: file.name || file.id || 'attachment',
+                mimeType: file.mime_type || file.mimeType || '',
+                size: file.size || null,
+                content: ''
+            }));
+    }
+
+    /**
+     * ChatGPTメッセージの content_type ごとにMarkdownを生成
+     */
+    renderChatGPTContent(msg, path = null) {
+        const options = this.options;
+        const content = typeof msg.content === 'string'
+            ? { content_type: 'text', parts: [msg.content] }
+            : (msg.content || {});
+        const isTool = msg.author?.role === 'tool';
+        const images = [];
+        const blocks = [];
+
+        // ツールからのテキスト（DALL·Eやプラグインの応答など）はツールメッセージとして扱う
+        const includeText = !isTool || options.includeToolMessages;
+        const fence = (code, language = '') => {
+            const longest = Math.max(0, ...(code.match(/^`{3,}/gm) || []).map(run => run.length));
+            const marker = '`'.repeat(Math.max(3, longest + 1));
+            return `${marker}${language}\n${code}\n${marker}`;
+        };
+
+        switch (content.content_type) {
+            case 'text':
+            case 'multimodal_text':
+            case undefined: {
+                const texts = [];
+                (content.parts || []).forEach(part => {
+                    if (typeof part === 'string') {
+                        if (includeText) texts.push(part);
+                    } else if (part && part.content_type === 'image_asset_pointer') {
+                        if (options.includeImages) {
+                            images.push({
+                                id: String(part.asset_pointer || '').replace(/^[a-z-]+:\/\//, ''),
+                                width: part.width || null,
+                                height: part.height || null
+                            });
+                        }
+                    } else if (part && part.content_type === 'audio_transcription' && part.text) {
+                        if (includeText) texts.push(part.text);
+                    } else if (part) {
+                        this.addDiagnostic('unknownContentTypes',
+                            `${content.content_type || 'text'} / ${part.content_type || typeof part}`, path);
+                    }
+                });
+                const text = texts.join('\n').trim();
+                if (text) blocks.push(text);
+                break;
+            }
+            case 'code':
+                if (options.includeCode && content.text && content.text.trim()) {
+                    const language = content.language && content.language !== 'unknown'
+                        ? content.language
+                        : (msg.recipient === 'python' ? 'python' : '');
+                    blocks.push(fence(content.text.trim(), language));
+                }
+                break;
+            case 'execution_output':
+                if (options.includeExecutionOutput && content.text && content.text.trim()) {
+                    blocks.push(`**Output:**\n\n${fence(content.text.trim())}`);
+                }
+                break;
+            case 'tether_browsing_display':
+                if (options.includeWebResults && (content.result || content.summary)) {
+                    const result = String(content.result || content.summary).trim();
+                    blocks.push(`**Browsing result:**\n\n${this.quoteMarkdown(result)}`);
+                }
+                break;
+            case 'tether_quote':
+                if (options.includeWebResults && content.text) {
+                    const source = content.url ? `\n>\n> — [${content.title || content.domain || content.url}](${content.url})` : '';
+                    blocks.push(`${this.quoteMarkdown(content.text.trim())}${source}`);
+                }
+                break;
+            case 'thoughts':
+                if (options.includeReasoning && Array.isArray(content.thoughts) && content.thoughts.length > 0) {
+                    const thoughts = content.thoughts
+                        .map(thought => [thought.summary ? `**${thought.summary}**` : '', thought.content || '']
+                            .filter(text => text)
+                            .join('\n\n'))
+                        .filter(text => text.trim())
+                        .join('\n\n');
+                    if (thoughts) {
+                        blocks.push(`<details>\n<summary>💭 Reasoning</summary>\n\n${thoughts}\n\n</details>`);
+                    }
+                }
+                break;
+            case 'reasoning_recap':
+                if (options.includeReasoning && content.content) {
+                    blocks.push(`*💭 ${content.content}*`);
+                }
+                break;
+            case 'system_error':
+                if (options.includeToolMessages && (content.text || content.name)) {
+                    blocks.push(`⚠️ **${content.name || 'Error'}**: ${content.text || ''}`.trim());
+                }
+                break;
+            case 'user_editable_context':
+                // カスタム指示（システム扱い）
+                break;
+            default:
+                // 未対応の形式はテキストがあればそのまま出力する
+                this.addDiagnostic('unknownContentTypes', String(content.content_type), path);
+                if (includeText && typeof content.text === 'string' && content.text.trim()) {
+                    blocks.push(content.text.trim());
+                }
+        }
+
+        // 回答に付いている引用元（Web検索の結果）
+        if (options.includeWebResults && !isTool) {
+            const sources = this.extractChatGPTSources(msg.metadata || {});
+            if (sources.length > 0 && blocks.length > 0) {
+                blocks.push('**Sources:**\n\n' + sources
+                    .map((source, index) => `${index + 1}. [${source.title.replace(/[[\]]/g, '')}](${source.url})`)
+                    .join('\n'));
+            }
+        }
+
+        return { text: blocks.join('\n\n'), images };
+    }
+
+    /**
+     * メッセージのメタデータから引用元URLを重複なく取得
+     */
+    extractChatGPTSources(metadata) {
+        const sources = [];
+        const seen = new Set();
+        const add = (url, title) => {
+            if (!url || seen.has(url)) return;
+            seen.add(url);
+            sources.push({ url, title: title || url });
+        };
+
+        (metadata.citations || []).forEach(citation => {
+            const meta = citation.metadata || {};
+            add(meta.url, meta.title);
+        });
+        (metadata.content_references || []).forEach(reference => {
+            (reference.items || []).forEach(item => add(item.url, item.title));
+            (reference.sources || []).forEach(item => add(item.url, item.title));
+        });
+        (metadata.search_result_groups || []).forEach(group => {
+            (group.entries || []).forEach(entry => add(entry.url, entry.title));
+        });
+
+        return sources;
+    }
+
+    quoteMarkdown(text) {
+        return text.split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+    }
+
+    /**
+     * mappingの子ノードIDを取得（存在するノードのみ）
+     */
+    getMappingChildren(mapping, nodeId) {
+        const node = mapping[nodeId];
+        if (!node || !Array.isArray(node.children)) return [];
+        return node.children.filter(childId => mapping[childId]);
+    }
+
+    /**
+     * mappingのルートノードIDを取得（親がない、または親が存在しないノード）
+     * parent が循環していて根から辿れないノードは、current_node（なければ先頭のノード）から
+     * 親を辿り、循環に入る手前のノードを根とみなす
+     */
+    getMappingRoots(mapping, currentNode = null, mappingPath = null) {
+        const roots = Object.keys(mapping).filter(nodeId => {
+            const parent = mapping[nodeId].parent;
+            return !parent || !mapping[parent];
+        });
+
+        const reached = new Set();
+        const visit = rootId => {
+            const stack = [rootId];
+            while (stack.length > 0) {
+                const nodeId = stack.pop();
+                if (reached.has(nodeId)) continue;
+                reached.add(nodeId);
+                stack.push(...this.getMappingChildren(mapping, nodeId));
+            }
+        };
+        roots.forEach(visit);
+
+        [currentNode, ...Object.keys(mapping)].forEach(startId => {
+            if (!startId || !mapping[startId] || reached.has(startId)) return;
+
+            const chain = [];
+            let nodeId = startId;
+            while (nodeId && mapping[nodeId] && !reached.has(nodeId) && !chain.includes(nodeId)) {
+                chain.push(nodeId);
+                nodeId = mapping[nodeId].parent;
+            }
+            const rootId = chain[chain.length - 1];
+            this.addDiagnostic('warnings', 'mapping に根がない（parent が循環している）', this.jsonPath(mappingPath, rootId));
+            roots.push(rootId);
+            visit(rootId);
+        });
+
+        return roots;
+    }
+
+    /**
+     * mappingの葉ノードIDをツリー順に取得（循環参照は無視）
+     */
+    getMappingLeaves(mapping, currentNode = null, mappingPath = null) {
+        const leaves = [];
+        const seen = new Set();
+        const stack = this.getMappingRoots(mapping, currentNode, mappingPath).reverse();
+
+        while (stack.length > 0) {
+            const nodeId = stack.pop();
+            if (seen.has(nodeId)) continue;
+            seen.add(nodeId);
+
+            const children = this.getMappingChildren(mapping, nodeId).filter(id => !seen.has(id));
+            if (children.length === 0) {
+                leaves.push(nodeId);
+            } else {
+                stack.push(...children.reverse());
+            }
+        }
+
+        return leaves;
+    }
+
+    /**
+     * mappingのツリー全体を走査し、current_node の経路を本文、
+     * それ以外の分岐（再生成した回答・編集したプロンプト）を分岐点のメッセージの branches に格納する
+     */
+    parseMappingTree(mapping, currentNode = null, mappingPath = null) {
+        // current_node から根までの経路を優先して辿る
+        const preferred = new Set();
+        let current = currentNode;
+        while (current && mapping[current] && !preferred.has(current)) {
+            preferred.add(current);
+            current = mapping[current].parent;
+        }
+        if (current && preferred.has(current)) {
+            this.addDiagnostic('warnings', 'mapping の parent が循環している（循環の手前まで出力）',
+                this.jsonPath(mappingPath, current));
+        }
+
+        const seen = new Set();
+        const messages = [];
+        this.getMappingRoots(mapping, currentNode, mappingPath).forEach(rootId => {
+            messages.push(...this.collectBranchMessages(mapping, rootId, preferred, seen, mappingPath));
+        });
+        return messages;
+    }
+
+    /**
+     * 指定ノードから1本の経路を辿ってメッセージを集める
+     * 経路上の分岐は再帰的に集め、分岐後の最初のメッセージに付与する
+     */
+    collectBranchMessages(mapping, startId, preferred, seen, mappingPath = null) {
+        const messages = [];
+        let pendingBranches = null;
+        let nodeId = startId;
+
+        while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+            seen.add(nodeId);
+
+            const message = this.mappingNodeToMessage(mapping[nodeId], this.jsonPath(mappingPath, nodeId));
+            if (message) {
+                if (pendingBranches) {
+                    Object.assign(message, pendingBranches);
+                    pendingBranches = null;
+                }
+                messages.push(message);
+            }
+
+            const children = this.getMappingChildren(mapping, nodeId).filter(id => !seen.has(id));
+            const nextId = children.find(id => preferred.has(id)) || children[children.length - 1];
+
+            if (children.length > 1) {
+                const branches = [];
+                children.forEach((childId, index) => {
+                    if (childId === nextId) return;
+                    const branchMessages = this.collectBranchMessages(mapping, childId, preferred, seen, mappingPath);
+                    if (branchMessages.length > 0) {
+                        branches.push({ index: index + 1, messages: branchMessages });
+                    }
+                });
+
+                if (branches.length > 0) {
+                    pendingBranches = {
+                        branchIndex: children.indexOf(nextId) + 1,
+                        branchTotal: children.length,
+                        branches: branches
+                    };
+                }
+            }
+
+            nodeId = nextId;
+        }
+
+        // 分岐後に表示するメッセージがない場合は最後のメッセージに付与
+        if (pendingBranches && messages.length > 0) {
+            Object.assign(messages[messages.length - 1], pendingBranches);
+        }
+
+        return messages;
+    }
+
+    /**
+     * 分岐（葉ノード）ごとのメッセージ（メッセージのない分岐は除く）
+     */
+    getBranchMessages(mapping, currentNode = null, mappingPath = null) {
+        return this.getMappingLeaves(mapping, currentNode, mappingPath)
+            .map(leafId => this.parseMapping(mapping, leafId, mappingPath))
+            .filter(messages => messages.length > 0);
+    }
+
+    /**
+     * 分岐ごとに会話を作成して追加
+     */
+    pushBranchConversations(conversation, branchConversations) {
+        branchConversations.forEach((messages, index) => {
+            this.conversations.push({
+                ...conversation,
+                id: `${conversation.id}_branch_${index + 1}`,
+                title: `${conversation.title} (Branch ${index + 1} of ${branchConversations.length})`,
+                messages: messages,
+                _isChatGPT: true
+            });
+        });
+    }
+
+    parseMessage(msg, path = null) {
+        if (!msg) {
+            this.addDiagnostic('skippedMessages', '空のメッセージ（null）', path);
+            return null;
+        }
+
+        let role = '';
+        let content = '';
+        let timestamp = null;
+
+        // ロールの取得
+        if (msg.role) {
+            role = msg.role;
+        } else if (msg.author) {
+            role = typeof msg.author === 'string' ? msg.author : msg.author.role || 'user';
+        } else if (msg.sender) {
+            role = msg.sender;
+        } else if (msg.from) {
+            role = msg.from;
+        }
+
+        role = this.normalizeRole(role);
+
+        // コンテンツの取得
+        if (msg.content) {
+            if (typeof msg.content === 'string') {
+                content = msg.content;
+            } else if (msg.content.parts) {
+                this.recordNonTextParts(msg.content.parts, this.jsonPath(this.jsonPath(path, 'content'), 'parts'));
+                content = msg.content.parts
+                    .filter(p => typeof p === 'string' || p.text)
+                    .map(p => typeof p === 'string' ? p : p.text)
+                    .join('\n');
+            } else if (msg.content.text) {
+                content = msg.content.text;
+            }
+        } else if (msg.parts) {
+            this.recordNonTextParts(msg.parts, this.jsonPath(path, 'parts'));
+            content = msg.parts
+                .filter(p => p.text || typeof p === 'string')
+                .map(p => p.text || p)
+                .join('\n');
+        } else if (msg.text) {
+            content = msg.text;
+        } else if (msg.message) {
+            content = typeof msg.message === 'string' ? msg.message : JSON.stringify(msg.message);
+        }
+
+        // タイムスタンプの取得
+        timestamp = this.parseTimestamp(
+            msg.create_time || msg.created_at || msg.timestamp || msg.time || msg.date
+        );
+
+        if (!content.trim()) {
+            this.addDiagnostic('skippedMessages', 'テキストが見つからない（content / parts / text / message が空か未対応の形式）', path);
+            return null;
+        }
+        if (!role) {
+            this.addDiagnostic('warnings', 'ロールが不明なメッセージ（user として出力）', path);
+        }
+
+        return {
+            role: role || 'user',
+            content: content.trim(),
+            timestamp: timestamp
+        };
+    }
+
+    /**
+     * parts のうちテキスト以外（画像・ファイルなど）を診断情報に記録
+     */
+    recordNonTextParts(parts, path) {
+        if (!Array.isArray(parts)) return;
+        parts.forEach((part, index) => {
+            if (part && typeof part === 'object' && !part.text) {
+                const type = part.content_type || part.type || Object.keys(part)[0] || '{}';
+                this.addDiagnostic('unknownContentTypes', String(type), this.jsonPath(path, index));
+            }
+        });
+    }
+
+    /**
+     * ロールの正規化（model / gemini / ai / bot → assistant、human → user）
+     */
+    normalizeRole(role) {
+        role = String(role).toLowerCase();
+        if (role === 'model' || role === 'gemini' || role === 'ai' || role === 'bot') {
+            return 'assistant';
+        } else if (role === 'human') {
+            return 'user';
+        }
+        return role;
+    }
+
+    parseTimestamp(value) {
+        if (!value) return null;
+
+        if (value instanceof Date) return value;
+
+        // Unix timestamp (seconds)
+        if (typeof value === 'number') {
+            // 10桁ならseconds、13桁ならmilliseconds
+            const ts = value > 9999999999 ? value : value * 1000;
+            return new Date(ts);
+        }
+
+        // ISO文字列
+        if (typeof value === 'string') {
+            const date = new Date(value);
+            if (!isNaN(date.getTime())) {
+                return date;
+            }
+        }
+
+        return null;
+    }
+
+    isSelected(conv) {
+        return !this.deselectedKeys.has(conv._key);
+    }
+
+    getSelectedConversations() {
+        return this.conversations.filter(conv => this.isSelected(conv));
+    }
+
+    /**
+     * 出力されるファイル数（差分エクスポートのマニフェストは含まない）
+     */
+    getOutputFileCount(conversations = this.getSelectedConversations()) {
+        if (this.exportType !== 'per_chat') return this.groupConversations(conversations).size;
+        return conversations.length + (this.isVaultMode() ? this.getVaultIndexNotes(conversations).size : 0);
+    }
+
+    /**
+     * 会話のファイル名に使えない名前（拡張子なし）: 索引ノートと伏せ字レポート
+     */
+    getReservedFilenames(conversations) {
+        const names = new Set(this.isVaultMode() ? this.getVaultIndexNotes(conversations).keys() : []);
+        if (this.options.redact) names.add(REDACTION_REPORT_FILENAME.replace(/\.md$/, ''));
+        return names;
+    }
+
+    /**
+     * 出力するファイルを生成（形式は options.outputFormat: Markdown / HTML / 印刷用HTML / JSONL）
+     * onProgress(処理済みの会話数, 会話数) で進捗を通知
+     */
+    generateMarkdownFiles(onProgress = () => {}) {
+        // Web Workerでは会話一覧で変更したタイトルを設定（titleOverrides）として受け取る
+        this.applyTitleOverrides();
+        this.usedMediaPaths = new Set();
+
+        const files = [];
+        const selected = this.getSelectedConversations();
+        const { extension } = this.getOutputFormat();
+
+        if (this.exportType === 'per_chat' && this.options.incremental) {
+            return this.addRedactionReport(this.generateIncrementalFiles(onProgress), selected);
+        }
+
+        if (this.exportType === 'per_chat') {
+            // 索引ノート・伏せ字レポートと同じ名前にならないようにする
+            const usedFilenames = this.getReservedFilenames(selected);
+            const targets = [];
+            this.conversations.forEach((conv, index) => {
+                // 会話一覧で選択されたものだけを出力
+                if (!this.isSelected(conv)) return;
+
+                // より適切なファイル名を生成 (重複チェック付き)
+                const prefix = this.getFilePrefix(conv.source);
+                const filename = this.getFolderPath([conv]) + this.generateFilename(conv, index, prefix, usedFilenames) + extension;
+                targets.push({ conv, filename });
+            });
+
+            // 前後の会話へのリンクはすべてのファイル名が決まってから作る
+            this.prepareVaultLinks(targets);
+            targets.forEach(({ conv, filename }) => {
+                this.assetBasePath = this.getAssetBasePath(filename);
+                const content = this.renderConversationFile(conv);
+                files.push({ filename, content });
+                onProgress(files.length, selected.length);
+            });
+            files.push(...this.generateVaultIndexFiles(targets));
+            this.vaultLinks = null;
+            return this.addRedactionReport(files, selected);
+        }
+
+        let done = 0;
+        this.groupConversations(selected).forEach((convs, key) => {
+            const prefix = this.getFilePrefix(this.getCommonSource(convs));
+            const filename = `${this.getFolderPath(convs)}${prefix}_${this.sanitizeFilename(key)}${extension}`;
+            this.assetBasePath = this.getAssetBasePath(filename);
+            const content = this.renderGroupFile(convs, this.getGroupLabel(key));
+            files.push({ filename, content });
+            done += convs.length;
+            onProgress(done, selected.length);
+        });
+
+        return this.addRedactionReport(files, selected);
+    }
+
+    /**
+     * 出力するファイル（ZIP内のパス）から assets/ フォルダへの相対パス
+     */
+    getAssetBasePath(filename) {
+        return '../'.repeat(filename.split('/').length - 1) + 'assets/';
+    }
+
+    /**
+     * 現在の出力形式（不明な値の場合はMarkdown）
+     */
+    getOutputFormat() {
+        return OUTPUT_FORMATS[this.options.outputFormat] || OUTPUT_FORMATS.markdown;
+    }
+
+    /**
+     * ファイル名の拡張子からダウンロード時のMIMEタイプを決める
+     */
+    getMimeType(filename) {
+        const extension = (String(filename).toLowerCase().match(/\.[^./]+$/) || [''])[0];
+        const format = Object.values(OUTPUT_FORMATS).find(item => item.extension === extension);
+        if (format) return format.mimeType;
+        return extension === '.json' ? 'application/json;charset=utf-8' : 'application/octet-stream';
+    }
+
+    /**
+     * 1つの会話を出力形式に変換
+     */
+    renderConversationFile(conv) {
+        switch (this.options.outputFormat) {
+            case 'jsonl':
+                return this.conversationsToJsonl([conv]);
+            case 'html':
+            case 'print':
+                return this.markdownToHtmlDocument(conv.title, this.conversationToMarkdown(conv));
+            default:
+                return this.conversationToMarkdown(conv);
+        }
+    }
+
+    /**
+     * 複数の会話（日・週・月などのまとめ）を出力形式に変換
+     */
+    renderGroupFile(conversations, periodKey) {
+        switch (this.options.outputFormat) {
+            case 'jsonl':
+                return this.conversationsToJsonl(conversations);
+            case 'html':
+            case 'print':
+                return this.markdownToHtmlDocument(periodKey, this.multiConversationsToMarkdown(conversations, periodKey));
+            default:
+                return this.multiConversationsToMarkdown(conversations, periodKey);
+        }
+    }
+
+    /**
+     * JSONL: 1行に1メッセージ（分析や学習データ用）
+     * 日時は設定のタイムゾーンによらずISO 8601（UTC）で出力する
+     */
+    conversationsToJsonl(conversations) {
+        const lines = [];
+        conversations.forEach(conv => {
+            conv.messages.forEach((msg, index) => {
+                const record = {
+                    conversation_id: String(conv.id),
+                    conversation_title: conv.title,
+                    source: conv.source || this.detectedSource,
+                    index: index + 1,
+                    role: msg.role,
+                    timestamp: msg.timestamp ? msg.timestamp.toISOString() : null,
+                    content: msg.content
+                };
+                if (msg.name) record.name = msg.name;
+                if (msg.model) record.model = msg.model;
+                if (msg.attachments && msg.attachments.length > 0) {
+                    record.attachments = msg.attachments.map(attachment => attachment.name);
+                }
+                lines.push(JSON.stringify(record));
+            });
+        });
+        return lines.length > 0 ? lines.join('\n') + '\n' : '';
+    }
+
+    /**
+     * Markdownをスタイル付きの単独のHTMLファイルにする（フロントマターは除く）
+     * 印刷用（outputFormat: 'print'）は紙面向けのスタイルにし、折りたたみは開いた状態にする
+     */
+    markdownToHtmlDocument(title, markdown) {
+        const print = this.options.outputFormat === 'print';
+        let body = this.markdownToHtml(markdown.replace(/^---\n[\s\S]*?\n---\n*/, ''));
+        if (print) {
+            body = body.replace(/<details>/g, '<details open>');
+        }
+
+        return '<!DOCTYPE html>\n' +
+            '<html lang="ja">\n<head>\n<meta charset="utf-8">\n' +
+            '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+            `<title>${this.escapeHtml(title)}</title>\n` +
+            `<style>${print ? PRINT_STYLES : HTML_STYLES}</style>\n` +
+            '</head>\n<body>\n' +
+            (print ? `${body}\n` : `<main class="transcript">\n${body}\n</main>\n`) +
+            '</body>\n</html>\n';
+    }
+
+    /**
+     * 伏せ字が有効な場合、どの会話で何を伏せ字にしたかのレポートを出力ファイルに加える
+     * レポートには伏せ字にした値そのものは含めない
+     */
+    addRedactionReport(files, conversations) {
+        if (!this.options.redact) return files;
+
+        const labels = {};
+        REDACTION_DETECTORS.forEach(detector => {
+            labels[detector.id] = detector.label;
+        });
+        labels.custom_pattern = 'ユーザー定義のパターン';
+        labels.custom_word = 'ユーザー定義の語句';
+
+        const rows = [];
+        let total = 0;
+        conversations.forEach(conv => {
+            Object.entries(conv.redactions || {}).forEach(([id, count]) => {
+                const title = (conv.title || '会話').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+                rows.push(`| ${title} | \`${conv.id}\` | ${labels[id] || id} | ${count} |`);
+                total += count;
+            });
+        });
+        const redactedCount = conversations.filter(conv => Object.keys(conv.redactions || {}).length > 0).length;
+
+        let md = '# 伏せ字レポート\n\n';
+        md += `- 作成日時: ${this.formatDateTime(new Date())}\n`;
+        md += `- 対象の会話: ${conversations.length}件（伏せ字あり: ${redactedCount}件）\n`;
+        md += `- 伏せ字にした箇所: ${total}件\n\n`;
+        md += rows.length > 0
+            ? '| 会話 | ID | 種類 | 件数 |\n| --- | --- | --- | ---: |\n' + rows.join('\n') + '\n'
+            : '伏せ字にした箇所はありません。\n';
+
+        files.push({ filename: REDACTION_REPORT_FILENAME, content: md });
+        return files;
+    }
+
+    /**
+     * 診断情報の件数（出力しなかった会話・メッセージ、未対応の形式、注意）
+     */
+    getDiagnosticsTotals(diagnostics) {
+        const sum = category => Object.values((diagnostics && diagnostics[category]) || {})
+            .reduce((total, entry) => total + entry.count, 0);
+        return {
+            skippedConversations: sum('skippedConversations'),
+            skippedMessages: sum('skippedMessages'),
+            unknownContentTypes: sum('unknownContentTypes'),
+            warnings: sum('warnings')
+        };
+    }
+
+    /**
+     * 読み込んだファイルごとの診断レポート（Markdown）
+     * 選んだパーサーとその理由、出力しなかったデータの件数・理由・JSONパスの例をまとめる
+     */
+    getDiagnosticsReport() {
+        const escapeCell = text => String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+        const sections = [
+            ['skippedConversations', '出力しなかった会話'],
+            ['skippedMessages', '出力しなかったメッセージ'],
+            ['unknownContentTypes', '未対応のコンテンツ形式'],
+            ['warnings', '注意']
+        ];
+
+        let md = '# 診断レポート\n\n';
+        md += `- 作成日時: ${this.formatDateTime(new Date())}\n`;
+        md += `- 読み込んだファイル: ${this.sources.length}件\n`;
+        md += `- 会話: ${this.conversations.length}件`;
+        md += this.duplicateCount > 0 ? `（重複していた${this.duplicateCount}件を除外）\n` : '\n';
+
+        this.sources.forEach(source => {
+            const diagnostics = source.diagnostics || this.createDiagnostics();
+            md += `\n## ${source.fileName}\n\n`;
+            md += `- 形式: ${PARSER_LABELS[diagnostics.parser] || '不明'}（${diagnostics.parserReason}）\n`;
+            md += `- ソース: ${source.detectedSource}` +
+                (diagnostics.sourceReason ? `（${diagnostics.sourceReason}）\n` : '\n');
+            if (diagnostics.conversationPaths.length > 0) {
+                md += `- 会話のJSONパス: ${diagnostics.conversationPaths.map(path => `\`${path}\``).join(', ')}\n`;
+            }
+            md += `- 解析した会話: ${source.conversationCount}件 / メッセージ: ${diagnostics.messageCount}件\n`;
+            if (diagnostics.jsonShape) {
+                md += `- JSONの構造: ${diagnostics.jsonShape}\n`;
+            }
+
+            sections.forEach(([category, heading]) => {
+                const entries = Object.entries(diagnostics[category]);
+                if (entries.length === 0) return;
+
+                md += `\n### ${heading}\n\n| 理由 | 件数 | JSONパスの例 |\n| --- | ---: | --- |\n`;
+                entries
+                    .sort((a, b) => b[1].count - a[1].count)
+                    .forEach(([reason, entry]) => {
+                        const samples = entry.samples.map(path => `\`${escapeCell(path)}\``).join('<br>');
+                        md += `| ${escapeCell(reason)} | ${entry.count} | ${samples} |\n`;
+                    });
+            });
+        });
+
+        return md;
+    }
+
+    /**
+     * 出力ファイルを生成し、複数のファイル（またはメディアファイル）があればZIPにまとめる
+     * ZIPは少しずつ生成し、チャンクのまま Blob にする。onProgress(段階, 割合 0〜1) で進捗を通知
+     * 戻り値: { file } または { zip, fileCount, markdownCount }
+     */
+    async exportFiles(onProgress = () => {}) {
+        const files = this.generateMarkdownFiles((done, total) => onProgress('markdown', total ? done / total : 1));
+        const markdownCount = files.filter(file =>
+            file.filename !== MANIFEST_FILENAME && file.filename !== REDACTION_REPORT_FILENAME).length;
+
+        // ダウンロード（メディアファイルを参照している場合は常にZIPにまとめる）
+        if (files.length === 1 && this.usedMediaPaths.size === 0) {
+            return { file: files[0], fileCount: 1, markdownCount };
+        }
+
+        const zip = new (this.getJSZip())();
+        files.forEach(file => {
+            zip.file(file.filename, file.content);
+        });
+
+        // 出力した会話が参照しているメディアファイルだけを assets/ にコピー
+        for (const path of this.usedMediaPaths) {
+            zip.file(`assets/${path}`, this.mediaFiles.get(path).async('uint8array'));
+        }
+
+        const chunks = await new Promise((resolve, reject) => {
+            const parts = [];
+            zip.generateInternalStream({ type: 'uint8array', streamFiles: true })
+                .on('data', (chunk, metadata) => {
+                    parts.push(chunk);
+                    onProgress('zip', metadata.percent / 100);
+                })
+                .on('error', reject)
+                .on('end', () => resolve(parts))
+                .resume();
+        });
+
+        return {
+            zip: new Blob(chunks, { type: 'application/zip' }),
+            fileCount: files.length,
+            markdownCount
+        };
+    }
+
+    /**
+     * 解析結果の概要（Web Workerからメインスレッドに渡す）
+     * 会話は一覧の表示に使う項目だけにし、本文はWorker側に残す
+     */
+    getSessionSummary() {
+        return {
+            conversations: this.getConversationSummaries(),
+            sources: this.sources.map(({ fileName, detectedSource, conversationCount, diagnostics }) =>
+                ({ fileName, detectedSource, conversationCount, diagnostics })),
+            duplicateCount: this.duplicateCount,
+            detectedSource: this.detectedSource,
+            mediaCount: this.mediaFiles.size
+        };
+    }
+
+    /**
+     * 会話一覧に表示する項目（キー・タイトル・日時・メッセージ数・ソース）
+     */
+    getConversationSummaries() {
+        return this.conversations.map(conv => ({
+            _key: conv._key,
+            _parsedTitle: conv._parsedTitle,
+            id: conv.id,
+            title: conv.title,
+            source: conv.source,
+            createTime: conv.createTime,
+            updateTime: conv.updateTime,
+            messageCount: conv.messages.length
+        }));
+    }
+
+    /**
+     * 検索語・期間で絞り込んだ会話を取得
+     * 検索語はスペース区切りでAND検索（タイトルと本文が対象）
+     */
+    filterConversations(filters) {
+        const keywords = filters.query.toLowerCase().split(/\s+/).filter(word => word);
+        const { from, to } = filters;
+
+        return this.conversations.filter(conv => {
+            // 期間は設定のタイムゾーンでの日付で比較
+            const date = this.formatDateTime(conv.createTime || conv.updateTime, 'YYYY-MM-DD');
+            if ((from || to) && !date) return false;
+            if (from && date < from) return false;
+            if (to && date > to) return false;
+
+            if (keywords.length === 0) return true;
+            const text = filters.titleOnly
+                ? (conv.title || '').toLowerCase()
+                : this.getSearchText(conv);
+            return keywords.every(word => text.includes(word));
+        });
+    }
+
+    getSearchText(conv) {
+        if (conv._searchText === undefined || conv._searchTitle !== conv.title) {
+            conv._searchTitle = conv.title;
+            conv._searchText = [conv.title || '', ...conv.messages.map(msg => msg.content)]
+                .join('\n')
+                .toLowerCase();
+        }
+        return conv._searchText;
+    }
+
+    /**
+     * 会話のプレビュー（出力形式に応じて、その会話が出力されるときのMarkdown）
+     * 会話が見つからなければ null
+     */
+    getPreview(key) {
+        const conv = this.conversations.find(c => c._key === key);
+        if (!conv) return null;
+
+        const markdown = this.exportType === 'per_chat'
+            ? this.conversationToMarkdown(conv)
+            : this.multiConversationsToMarkdown([conv], this.getGroupLabel(this.getGroupKey(conv)));
+        return { title: conv.title || '会話', markdown };
+    }
+
+    /**
+     * 差分エクスポート: 前回のマニフェストと比較して新規・更新された会話のみ出力
+     * 既存の会話は前回のファイル名を使い続け、新しい会話は作成日時順に名前を割り当てる
+     */
+    generateIncrementalFiles(onProgress = () => {}) {
+        const previous = (this.previousManifest && this.previousManifest.conversations) || {};
+        const manifest = {
+            version: 1,
+            generated_at: new Date().toISOString(),
+            conversations: { ...previous }
+        };
+
+        // 前回のファイル名・索引ノート・伏せ字レポートと重複しないようにする
+        const { extension } = this.getOutputFormat();
+        const usedFilenames = new Set(Object.values(previous)
+            .map(entry => entry.filename.split('/').pop().replace(/\.[^./]+$/, '')));
+
+        const targets = this.conversations
+            .map((conv, index) => ({ conv, index }))
+            .filter(({ conv }) => this.isSelected(conv));
+        const existing = targets.filter(({ conv }) => previous[conv.id]);
+        const added = targets
+            .filter(({ conv }) => !previous[conv.id])
+            .sort((a, b) => {
+                const timeA = (a.conv.createTime || a.conv.updateTime || new Date(0)).getTime();
+                const timeB = (b.conv.createTime || b.conv.updateTime || new Date(0)).getTime();
+                return timeA - timeB || String(a.conv.id).localeCompare(String(b.conv.id));
+            });
+
+        this.getReservedFilenames(targets.map(({ conv }) => conv)).forEach(name => usedFilenames.add(name));
+
+        // 出力形式を変えた場合は拡張子だけを変える
+        const named = [...existing, ...added].map(({ conv, index }) => ({
+            conv,
+            entry: previous[conv.id],
+            filename: previous[conv.id]
+                ? previous[conv.id].filename.replace(/\.[^./]+$/, '') + extension
+                : this.getFolderPath([conv]) + this.generateFilename(conv, index, this.getFilePrefix(conv.source), usedFilenames) + extension
+        }));
+        this.prepareVaultLinks(named);
+
+        const files = [];
+        let done = 0;
+        named.forEach(({ conv, entry, filename }) => {
+            this.assetBasePath = this.getAssetBasePath(filename);
+            const content = this.renderConversationFile(conv);
+            const hash = this.computeContentHash(content);
+
+            manifest.conversations[conv.id] = {
+                filename,
+                update_time: conv.updateTime ? conv.updateTime.toISOString() : null,
+                hash
+            };
+
+            if (!entry || entry.hash !== hash || entry.filename !== filename) {
+                files.push({ filename, content });
+            }
+            onProgress(++done, targets.length);
+        });
+
+        // 索引ノートは会話の増減で変わるため毎回出力する
+        files.push(...this.generateVaultIndexFiles(named));
+        this.vaultLinks = null;
+        files.push({ filename: MANIFEST_FILENAME, content: JSON.stringify(manifest, null, 2) + '\n' });
+        return files;
+    }
+
+    /**
+     * 前回のマニフェスト（JSON）または前回出力したZIPを読み込む
+     * マニフェストがないZIPは、Markdownのフロントマターから会話IDを読み取って再構築する
+     */
+    async loadPreviousManifest(fileName, data) {
+        if (!fileName.toLowerCase().endsWith('.zip')) {
+            const manifest = JSON.parse(data);
+            if (!manifest || typeof manifest.conversations !== 'object') {
+                throw new Error('マニフェストの形式が正しくありません');
+            }
+            this.previousManifest = manifest;
+            return Object.keys(manifest.conversations).length;
+        }
+
+        const zip = await this.getJSZip().loadAsync(data);
+        const entries = Object.values(zip.files).filter(entry => !entry.dir);
+        const manifestEntry = entries.find(entry => entry.name.split('/').pop() === MANIFEST_FILENAME);
+        if (manifestEntry) {
+            return this.loadPreviousManifest(MANIFEST_FILENAME, await manifestEntry.async('string'));
+        }
+
+        const conversations = {};
+        for (const entry of entries) {
+            if (!entry.name.endsWith('.md')) continue;
+            const content = await entry.async('string');
+            const idMatch = content.match(/^---\n[\s\S]*?^[a-z_]+_conversation_id: "?(.+?)"?$/m);
+            if (!idMatch) continue;
+            const updatedMatch = content.match(/^updated(?:_utc)?: (.+)$/m);
+            conversations[idMatch[1]] = {
+                filename: entry.name,
+                update_time: updatedMatch ? updatedMatch[1] : null,
+                hash: this.computeContentHash(content)
+            };
+        }
+
+        this.previousManifest = { version: 1, conversations };
+        return Object.keys(conversations).length;
+    }
+
+    /**
+     * 内容のハッシュ値（cyrb53）を16進数で返す
+     */
+    computeContentHash(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+    }
+
+    /**
+     * Vaultモードで出力するか（会話ごとのMarkdownのときのみ）
+     */
+    isVaultMode() {
+        return VAULT_STYLES.includes(this.options.vault) &&
+            this.exportType === 'per_chat' &&
+            this.getOutputFormat() === OUTPUT_FORMATS.markdown;
+    }
+
+    /**
+     * Vaultモードの索引ノート（ノート名 -> { type, key }）
+     * 会話のファイル名と重ならないよう、会話のファイル名より先に決める
+     */
+    getVaultIndexNotes(conversations) {
+        const notes = new Map([['index', { type: 'root', key: null }]]);
+        const months = new Map();
+
+        conversations.forEach(conv => {
+            const date = conv.createTime || conv.updateTime;
+            if (date) {
+                const year = this.formatDateTime(date, 'YYYY');
+                notes.set(`index_${year}`, { type: 'year', key: year });
+                months.set(this.formatDateTime(date, 'YYYY-MM'), true);
+            } else {
+                months.set(null, true);
+            }
+            notes.set(`index_${this.getFilePrefix(conv.source)}`, { type: 'source', key: conv.source || 'AI' });
+        });
+
+        // 日付なしの会話は index_no-date にまとめる
+        months.forEach((value, month) => {
+            notes.set(month ? `index_${month}` : 'index_no-date', { type: 'month', key: month });
+        });
+
+        if (this.options.vaultTagIndex && conversations.some(conv => this.getTags([conv]).length > 0)) {
+            notes.set('index_tags', { type: 'tags', key: null });
+        }
+        return notes;
+    }
+
+    /**
+     * Vaultモード: 各会話のノート名と前後の会話（作成日時順、日付なしは最後）を決める
+     * targets: [{ conv, filename }]
+     */
+    prepareVaultLinks(targets) {
+        this.vaultLinks = null;
+        if (!this.isVaultMode()) return;
+
+        const sorted = this.sortVaultTargets(targets);
+        this.vaultLinks = new Map();
+        sorted.forEach(({ conv, filename }, index) => {
+            this.vaultLinks.set(conv, {
+                name: filename.split('/').pop().replace(/\.[^./]+$/, ''),
+                prev: index > 0 ? sorted[index - 1].conv : null,
+                next: index < sorted.length - 1 ? sorted[index + 1].conv : null
+            });
+        });
+    }
+
+    sortVaultTargets(targets) {
+        const timeOf = conv => {
+            const date = conv.createTime || conv.updateTime;
+            return date ? date.getTime() : Infinity;
+        };
+        return [...targets].sort((a, b) => {
+            const timeA = timeOf(a.conv);
+            const timeB = timeOf(b.conv);
+            return timeA === timeB ? 0 : timeA < timeB ? -1 : 1;
+        });
+    }
+
+    /**
+     * ウィキリンク。表示名が違う場合は Obsidian では [[名前|表示名]]、Logseq では [表示名]([[名前]])
+     */
+    getWikiLink(name, label = name) {
+        const text = String(label).replace(/[[\]|]/g, '').trim();
+        if (!text || text === name) return `[[${name}]]`;
+        return this.options.vault === 'logseq' ? `[${text}]([[${name}]])` : `[[${name}|${text}]]`;
+    }
+
+    getConversationWikiLink(conv) {
+        return this.getWikiLink(this.vaultLinks.get(conv).name, conv.title || '会話');
+    }
+
+    /**
+     * Logseq用の alias（ファイル名とタイトルが違う会話のみ）
+     */
+    getVaultAlias(conv, title) {
+        if (this.options.vault !== 'logseq' || !this.vaultLinks || !this.vaultLinks.has(conv)) return null;
+        const { name } = this.vaultLinks.get(conv);
+        return name !== title ? name : null;
+    }
+
+    /**
+     * 会話のノートの末尾に付ける前後の会話・索引ノートへのリンク
+     */
+    getVaultNavigation(conv) {
+        const { prev, next } = this.vaultLinks.get(conv);
+        const date = conv.createTime || conv.updateTime;
+        const month = date ? this.formatDateTime(date, 'YYYY-MM') : null;
+        const lines = [];
+
+        if (prev) lines.push(`- ← 前の会話: ${this.getConversationWikiLink(prev)}`);
+        if (next) lines.push(`- → 次の会話: ${this.getConversationWikiLink(next)}`);
+        lines.push('- 索引: ' + [
+            month ? this.getWikiLink(`index_${month}`, month) : this.getWikiLink('index_no-date', '日付なし'),
+            this.getWikiLink(`index_${this.getFilePrefix(conv.source)}`, this.getSourceLabel(conv.source))
+        ].join(' · '));
+
+        return `---\n\n${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Vaultモードの索引ノート（全体・年別・月別・ソース別・タグ別）を生成
+     */
+    generateVaultIndexFiles(targets) {
+        if (!this.isVaultMode()) return [];
+
+        const conversations = this.sortVaultTargets(targets).map(({ conv }) => conv);
+        const notes = this.getVaultIndexNotes(conversations);
+        const rootLink = this.getWikiLink('index', '会話インデックス');
+        const monthOf = conv => {
+            const date = conv.createTime || conv.updateTime;
+            return date ? this.formatDateTime(date, 'YYYY-MM') : null;
+        };
+        const listItems = (convs, showSource = true) => convs.map(conv => {
+            const date = conv.createTime || conv.updateTime;
+            return `- ${date ? this.formatDateTime(date, 'YYYY-MM-DD') : '日付なし'} · ${this.getConversationWikiLink(conv)}` +
+                (showSource ? ` · ${this.getSourceLabel(conv.source)}` : '');
+        }).join('\n');
+
+        const files = [];
+        const addNote = (name, lines) => {
+            files.push({ filename: `${VAULT_INDEX_FOLDER}/${name}.md`, content: lines.join('\n\n') + '\n' });
+        };
+
+        const sortedNotes = [...notes.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        sortedNotes.forEach(([name, { type, key }]) => {
+            switch (type) {
+                case 'root': {
+                    const lines = ['# 会話インデックス', `**会話数**: ${conversations.length}`, '## 年別'];
+                    const years = sortedNotes
+                        .filter(([, note]) => note.type === 'year')
+                        .map(([yearName, note]) => {
+                            const count = conversations.filter(conv => (monthOf(conv) || '').startsWith(`${note.key}-`)).length;
+                            return `- ${this.getWikiLink(yearName, note.key)}（${count}件）`;
+                        });
+                    if (notes.has('index_no-date')) {
+                        const count = conversations.filter(conv => !monthOf(conv)).length;
+                        years.push(`- ${this.getWikiLink('index_no-date', '日付なし')}（${count}件）`);
+                    }
+                    lines.push(years.join('\n'));
+                    lines.push('## ソース別', sortedNotes
+                        .filter(([, note]) => note.type === 'source')
+                        .map(([sourceName, note]) => {
+                            const count = conversations.filter(conv => (conv.source || 'AI') === note.key).length;
+                            return `- ${this.getWikiLink(sourceName, this.getSourceLabel(note.key))}（${count}件）`;
+                        })
+                        .join('\n'));
+                    if (notes.has('index_tags')) {
+                        lines.push('## タグ別', `- ${this.getWikiLink('index_tags', 'タグ別の会話')}`);
+                    }
+                    addNote(name, lines);
+                    break;
+                }
+                case 'year': {
+                    const lines = [`# ${key} の会話`, rootLink];
+                    const months = [...new Set(conversations.map(monthOf).filter(month => month && month.startsWith(`${key}-`)))];
+                    months.forEach(month => {
+                        const convs = conversations.filter(conv => monthOf(conv) === month);
+                        lines.push(`## ${this.getWikiLink(`index_${month}`, month)}（${convs.length}件）`, listItems(convs));
+                    });
+                    addNote(name, lines);
+                    break;
+                }
+                case 'month': {
+                    const title = key ? `${key} の会話` : '日付なしの会話';
+                    const parents = key ? `${rootLink} › ${this.getWikiLink(`index_${key.slice(0, 4)}`, key.slice(0, 4))}` : rootLink;
+                    addNote(name, [`# ${title}`, parents, listItems(conversations.filter(conv => monthOf(conv) === key))]);
+                    break;
+                }
+                case 'source':
+                    addNote(name, [
+                        `# ${this.getSourceLabel(key)} の会話`,
+                        rootLink,
+                        listItems(conversations.filter(conv => (conv.source || 'AI') === key), false)
+                    ]);
+                    break;
+                case 'tags': {
+                    // タグ（フロントマターと同じもの）ごとの会話の一覧（MOC）
+                    const byTag = new Map();
+                    conversations.forEach(conv => {
+                        this.getTags([conv]).forEach(tag => {
+                            if (!byTag.has(tag)) byTag.set(tag, []);
+                            byTag.get(tag).push(conv);
+                        });
+                    });
+                    const lines = ['# タグ別の会話', rootLink];
+                    [...byTag.keys()].sort().forEach(tag => {
+                        lines.push(`## #${tag}（${byTag.get(tag).length}件）`, listItems(byTag.get(tag)));
+                    });
+                    addNote(name, lines);
+                    break;
+                }
+            }
+        });
+
+        return files;
+    }
+
+    /**
+     * 出力単位に応じて会話をグループにまとめる（キー順に並べた Map を返す）
+     */
+    groupConversations(conversations = this.conversations, exportType = this.exportType) {
+        const groups = new Map();
+
+        conversations.forEach(conv => {
+            const key = this.getGroupKey(conv, exportType);
+
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(conv);
+        });
+
+        return new Map([...groups.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+    }
+
+    /**
+     * 会話が属するグループのキー（ファイル名にも使う）
+     */
+    getGroupKey(conv, exportType = this.exportType) {
+        const date = conv.createTime || conv.updateTime || new Date();
+
+        switch (exportType) {
+            case 'per_day':
+                return this.formatDateTime(date, 'YYYY-MM-DD');
+            case 'per_week':
+                return this.getISOWeek(date);
+            case 'per_month':
+                return this.formatDateTime(date, 'YYYY-MM');
+            case 'per_year':
+                return this.formatDateTime(date, 'YYYY');
+            case 'per_project':
+                return conv.project || 'no_project';
+            case 'per_topic':
+                return this.getTopicModel().topics.get(conv) || 'misc';
+            case 'single':
+                return 'all';
+            default:
+                return conv._key || conv.id;
+        }
+    }
+
+    /**
+     * グループの見出しに使う名前
+     */
+    getGroupLabel(key, exportType = this.exportType) {
+        if (exportType === 'single') return 'すべての会話';
+        if (exportType === 'per_project' && key === 'no_project') return 'プロジェクトなし';
+        if (exportType === 'per_topic') return this.getTopicModel().labels.get(key) || 'その他';
+        return key;
+    }
+
+    /**
+     * ISO 8601 の週番号（例: 2025-W09）。週は月曜始まりで、木曜日を含む年に属する
+     */
+    getISOWeek(date) {
+        const parts = this.getDateParts(date);
+        const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+        const weekday = day.getUTCDay() || 7;
+        day.setUTCDate(day.getUTCDate() + 4 - weekday);
+
+        const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+        const week = Math.ceil(((day.getTime() - yearStart) / 86400000 + 1) / 7);
+        return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+
+    /**
+     * ZIP内のフォルダ（末尾の / を含む）。グループは最も古い会話の日付で決める
+     */
+    getFolderPath(conversations) {
+        const layout = this.options.folderLayout;
+        if (!layout) return '';
+
+        const times = conversations
+            .map(conv => conv.createTime || conv.updateTime)
+            .filter(Boolean)
+            .map(date => date.getTime());
+        const date = times.length > 0 ? new Date(Math.min(...times)) : new Date();
+
+        const folder = this.formatDateTime(date, layout)
+            .split('/')
+            .map(segment => this.sanitizeFilename(segment))
+            .filter(segment => !/^\.*$/.test(segment))
+            .join('/');
+        return folder ? `${folder}/` : '';
+    }
+
+    conversationToMarkdown(conv) {
+        const template = this.getTemplate();
+        const vars = this.getConversationTemplateVars(conv);
+
+        let md = '';
+        md += this.renderTemplate(template.frontMatter, vars);
+        md += this.renderTemplate(template.header, vars);
+        md += this.renderTemplate(template.separator, vars);
+
+        // メッセージ
+        this.setMediaSource(conv);
+        conv.messages.forEach((msg, index) => {
+            md += this.messageToMarkdown(msg, 2, index);
+        });
+
+        // Vaultモード: 前後の会話と索引ノートへのリンク
+        if (this.vaultLinks && this.vaultLinks.has(conv)) {
+            md += this.getVaultNavigation(conv);
+        }
+
+        return md;
+    }
+
+    /**
+     * 現在のテンプレートを取得（ユーザー定義で足りない部分は標準で補う）
+     */
+    getTemplate() {
+        const id = this.options.template;
+        const template = this.customTemplates[id] || TEMPLATE_PRESETS[id] || TEMPLATE_PRESETS.default;
+        return { ...TEMPLATE_PRESETS.default, ...template };
+    }
+
+    /**
+     * 現在のテンプレートがその変数を使っているか
+     */
+    templateUses(name) {
+        const pattern = new RegExp(`\\{\\{[#^]?\\s*${name}\\s*\\}\\}`);
+        return Object.values(this.getTemplate()).some(part => pattern.test(part));
+    }
+
+    /**
+     * テンプレートを展開
+     * {{name}} は値に置換し、{{#name}}...{{/name}} / {{^name}}...{{/name}} は値の有無で出し分ける
+     */
+    renderTemplate(template, vars) {
+        if (!template) return '';
+
+        const sectionPattern = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+        let result = template;
+        let previous;
+
+        // 入れ子のセクションに対応するため、変化がなくなるまで繰り返す
+        do {
+            previous = result;
+            result = result.replace(sectionPattern, (match, type, name, inner) => {
+                const value = vars[name];
+                const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+                return (type === '#') === truthy ? inner : '';
+            });
+        } while (result !== previous);
+
+        return result.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+            vars[name] === undefined || vars[name] === null ? '' : String(vars[name]));
+    }
+
+    /**
+     * 会話単位のテンプレート変数
+     */
+    getConversationTemplateVars(conv) {
+        const title = conv.title || '会話';
+        const created = this.formatDateTime(conv.createTime);
+        const updated = this.formatDateTime(conv.updateTime);
+
+        const vars = {
+            title,
+            title_escaped: this.escapeYamlString(title),
+            id: conv.id,
+            source: this.getAILabel(conv.source),
+            source_label: this.getSourceLabel(conv.source),
+            source_key: (conv.source || 'AI').toLowerCase(),
+            created,
+            updated,
+            has_dates: Boolean(created || updated),
+            timezone: this.getTimeZoneLabel(),
+            message_count: conv.messages.length,
+            // 単語数は数えるのに時間がかかるため、使う場合だけ数える
+            word_count: this.options.frontMatterStats || this.templateUses('word_count')
+                ? this.getWordCount(conv) : '',
+            model: this.getConversationModels(conv).join(', ')
+        };
+        vars.front_matter = this.getConversationFrontMatter(conv, vars);
+        return vars;
+    }
+
+    /**
+     * 会話ごとのファイルのフロントマター（--- の内側）
+     */
+    getConversationFrontMatter(conv, vars) {
+        const options = this.options;
+        const models = this.getConversationModels(conv);
+
+        return this.serializeYaml([
+            ['title', vars.title],
+            [`${vars.source_key}_conversation_id`, String(vars.id)],
+            [this.getDateFieldName('created'), conv.createTime || null],
+            [this.getDateFieldName('updated'), conv.updateTime || null],
+            ['source', options.frontMatterSource ? vars.source_label : null],
+            ['model', options.frontMatterModel && models.length === 1 ? models[0] : null],
+            ['models', options.frontMatterModel && models.length > 1 ? models : null],
+            ['message_count', options.frontMatterStats ? vars.message_count : null],
+            ['word_count', options.frontMatterStats ? vars.word_count : null],
+            ['aliases', options.frontMatterAliases ? [vars.title] : null],
+            // Logseqはフロントマターの title をページ名にするため、ファイル名でもリンクできるようにする
+            ['alias', this.getVaultAlias(conv, vars.title)],
+            ['tags', this.getTags([conv])]
+        ]);
+    }
+
+    /**
+     * 月別・年別ファイルのフロントマター（--- の内側）
+     */
+    getGroupFrontMatter(conversations, periodKey, sourceLabel) {
+        const options = this.options;
+        const times = conversations
+            .flatMap(conv => [conv.createTime, conv.updateTime])
+            .filter(Boolean)
+            .map(time => time.getTime());
+        const models = [...new Set(conversations.flatMap(conv => this.getConversationModels(conv)))];
+
+        return this.serializeYaml([
+            ['title', `${sourceLabel} 会話履歴 - ${periodKey}`],
+            ['period', periodKey],
+            ['conversation_count', conversations.length],
+            [this.getDateFieldName('created'), times.length > 0 ? new Date(Math.min(...times)) : null],
+            [this.getDateFieldName('updated'), times.length > 0 ? new Date(Math.max(...times)) : null],
+            ['source', options.frontMatterSource ? sourceLabel : null],
+            ['models', options.frontMatterModel ? models : null],
+            ['message_count', options.frontMatterStats
+                ? conversations.reduce((sum, conv) => sum + conv.messages.length, 0) : null],
+            ['word_count', options.frontMatterStats
+                ? conversations.reduce((sum, conv) => sum + this.getWordCount(conv), 0) : null],
+            ['tags', this.getTags(conversations)]
+        ]);
+    }
+
+    /**
+     * [キー, 値] の配列をYAMLに変換
+     * 値が null / undefined / 空配列の項目は出力しない。配列はブロック形式のリストにする
+     */
+    serializeYaml(fields) {
+        return fields.map(([key, value]) => {
+            if (value === null || value === undefined) return '';
+            if (Array.isArray(value)) {
+                if (value.length === 0) return '';
+                return `${key}:\n` + value.map(item => `  - ${this.yamlScalar(item)}\n`).join('');
+            }
+            return `${key}: ${this.yamlScalar(value)}\n`;
+        }).join('');
+    }
+
+    /**
+     * YAMLのスカラー値
+     * 数値と日時（Date）はそのまま、文字列は日付のように見えても常にダブルクォートで囲む
+     * 日時は設定の形式で書き、YAMLの日時として読めない形式の場合は文字列にする
+     */
+    yamlScalar(value) {
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+        if (value instanceof Date) {
+            const text = this.formatDateTime(value);
+            if (/^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}(?::?\d{2})?)?)?$/.test(text)) {
+                return text;
+            }
+            return `"${this.escapeYamlString(text)}"`;
+        }
+        return `"${this.escapeYamlString(String(value))}"`;
+    }
+
+    /**
+     * YAMLのダブルクォート文字列用にエスケープ（改行・制御文字を含む）
+     */
+    escapeYamlString(text) {
+        return String(text).replace(/[\\"\x00-\x1f\x7f\x85\u2028\u2029]/g, ch => {
+            switch (ch) {
+                case '\\': return '\\\\';
+                case '"': return '\\"';
+                case '\n': return '\\n';
+                case '\r': return '\\r';
+                case '\t': return '\\t';
+                case '\x85': return '\\N';
+                case '\u2028': return '\\L';
+                case '\u2029': return '\\P';
+                default: return '\\x' + ch.charCodeAt(0).toString(16).padStart(2, '0');
+            }
+        });
+    }
+
+    /**
+     * 会話で使われたモデル（ChatGPTの default_model_slug とメッセージごとの model_slug）
+     */
+    getConversationModels(conv) {
+        const models = conv.messages.map(msg => msg.model).filter(Boolean);
+        if (models.length === 0 && conv.model) {
+            models.push(conv.model);
+        }
+        return [...new Set(models)];
+    }
+
+    /**
+     * メッセージ本文の単語数（日本語など空白で区切らない言語は Intl.Segmenter で数える）
+     */
+    getWordCount(conv) {
+        if (conv._wordCount === undefined) {
+            conv._wordCount = this.countWords(conv.messages);
+        }
+        return conv._wordCount;
+    }
+
+    countWords(messages) {
+        const segmenter = this.getWordSegmenter();
+
+        return messages.reduce((sum, msg) => {
+            if (!msg.content) return sum;
+            if (segmenter) {
+                let count = 0;
+                for (const segment of segmenter.segment(msg.content)) {
+                    if (segment.isWordLike) count++;
+                }
+                return sum + count;
+            }
+            return sum + (msg.content.match(/[\p{L}\p{N}]+/gu) || []).length;
+        }, 0);
+    }
+
+    /**
+     * フロントマターのタグ（固定のタグと自動タグ）
+     */
+    getTags(conversations) {
+        const tags = String(this.options.frontMatterTags || '')
+            .split(',')
+            .map(tag => this.normalizeTag(tag))
+            .filter(Boolean);
+
+        if (this.options.autoTags) {
+            conversations.forEach(conv => {
+                if (conv.source && conv.source !== 'AI') {
+                    tags.push(this.normalizeTag(conv.source));
+                }
+                this.getConversationModels(conv).forEach(model => tags.push(this.normalizeTag(model)));
+                const messages = conv.messages;
+                if (messages.some(msg => /^```/m.test(msg.content || ''))) tags.push('code');
+                if (messages.some(msg => msg.images && msg.images.length > 0)) tags.push('images');
+                if (messages.some(msg => msg.attachments && msg.attachments.length > 0)) tags.push('attachments');
+            });
+        }
+
+        if (this.options.keywordTags > 0) {
+            tags.push(...this.getKeywordTags(conversations).map(tag => this.normalizeTag(tag)));
+        }
+
+        return [...new Set(tags.filter(Boolean))];
+    }
+
+    /**
+     * タグとして使える形に整える（Obsidian などで区切りとみなされる文字を除く）
+     */
+    normalizeTag(tag) {
+        return String(tag)
+            .trim()
+            .replace(/^#+/, '')
+            .replace(/\s+/g, '-')
+            .replace(/[,#"'`^|[\]{}()<>!?&*:;=\\]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * 内容から抽出したキーワード（TF-IDFの高い語）。複数の会話の場合は合計のスコアで選ぶ
+     */
+    getKeywordTags(conversations) {
+        const { keywords } = this.getTopicModel();
+        const scores = new Map();
+
+        conversations.forEach(conv => {
+            (keywords.get(conv) || []).forEach(([term, weight]) => {
+                scores.set(term, (scores.get(term) || 0) + weight);
+            });
+        });
+
+        return [...scores.entries()]
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+            .slice(0, this.options.keywordTags)
+            .map(([term]) => term);
+    }
+
+    /**
+     * すべての会話のキーワード（TF-IDF）とトピック（似た会話のまとまり）
+     * 会話や topicCount が変わるまで結果を使い回す
+     * 戻り値: { keywords: 会話 -> [[語, 重み], ...], topics: 会話 -> トピックのキー, labels: キー -> 見出し }
+     */
+    getTopicModel() {
+        const cached = this.topicModel;
+        if (cached && cached.conversations === this.conversations && cached.topicCount === this.options.topicCount) {
+            return cached;
+        }
+
+        const conversations = this.conversations;
+        const documents = conversations.map(conv => this.countKeywordTerms(conv));
+
+        // 文書頻度（いくつの会話に出てくるか）
+        const documentFrequency = new Map();
+        documents.forEach(counts => {
+            counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+        });
+
+        // 会話が多い場合、1つの会話にしか出てこない語と半数以上の会話に出てくる語は使わない
+        const total = conversations.length;
+        const isUseful = term => {
+            const df = documentFrequency.get(term);
+            return (total < 10 || df >= 2) && (total < 4 || df <= total / 2);
+        };
+
+        const keywords = new Map();
+        const vectors = [];
+        documents.forEach((counts, index) => {
+            const weighted = [...counts.entries()]
+                .filter(([term]) => isUseful(term))
+                .map(([term, count]) => [term, (1 + Math.log(count)) * (Math.log((total + 1) / (documentFrequency.get(term) + 1)) + 1)])
+                .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+                .slice(0, 30);
+            keywords.set(conversations[index], weighted);
+            vectors.push(this.normalizeVector(new Map(weighted)));
+        });
+
+        const { topics, labels } = this.clusterTopics(conversations, vectors);
+        this.topicModel = { conversations, topicCount: this.options.topicCount, keywords, topics, labels };
+        return this.topicModel;
+    }
+
+    /**
+     * 会話のタイトルと本文から語を数える（コード・URLは除き、タイトルは2回分数える）
+     * 長い会話は先頭の部分だけを使う
+     */
+    countKeywordTerms(conv) {
+        const title = conv.title || '';
+        const body = conv.messages.map(msg => msg.content || '').join('\n').slice(0, 10000);
+        const text = `${title}\n${title}\n${body}`
+            .replace(/(`{3,})[\s\S]*?\1/g, ' ')
+            .replace(/`[^`\n]*`/g, ' ')
+            .replace(/(?:https?|ftp):\/\/\S+/g, ' ');
+
+        const counts = new Map();
+        this.tokenizeKeywords(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        return counts;
+    }
+
+    /**
+     * 日本語の単語分割に使う Intl.Segmenter（使えない環境では null）
+     */
+    getWordSegmenter() {
+        if (this.wordSegmenter === undefined) {
+            this.wordSegmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+                ? new Intl.Segmenter('ja', { granularity: 'word' })
+                : null;
+        }
+        return this.wordSegmenter;
+    }
+
+    /**
+     * キーワード候補の語に分割する
+     * 日本語を含む行は Intl.Segmenter で単語に分け、使えない環境では漢字の連続を2文字ずつ（bigram）に分ける
+     */
+    tokenizeKeywords(text) {
+        const segmenter = this.getWordSegmenter();
+        const words = [];
+        text.split(/\n+/).forEach(line => {
+            if (segmenter && /[ぁ-んァ-ヴ一-龠]/.test(line)) {
+                // 長い文字列をまとめて分割すると極端に遅くなるため、1000文字ごとに分割する
+                for (let start = 0; start < line.length; start += 1000) {
+                    for (const { segment, isWordLike } of segmenter.segment(line.slice(start, start + 1000))) {
+                        if (isWordLike) words.push(segment);
+                    }
+                }
+                return;
+            }
+
+            (line.match(/[A-Za-z][A-Za-z0-9+#]*(?:[.'-][A-Za-z0-9+#]+)*|[ァ-ヴー]{2,}|[一-龠々]+|[ぁ-ん]+/g) || []).forEach(word => {
+                if (!/^[一-龠々]{3,}$/.test(word)) {
+                    words.push(word);
+                    return;
+                }
+                for (let i = 0; i < word.length - 1; i++) words.push(word.slice(i, i + 2));
+            });
+        });
+
+        return words
+            .map(word => word.toLowerCase().replace(/^[.'-]+|[.'-]+$/g, ''))
+            .filter(word => {
+                if (KEYWORD_STOPWORDS.has(word) || [...word].length < 2) return false;
+                if (/^[ぁ-んー]+$/.test(word) || /^[\d.,:/-]+$/.test(word)) return false;
+                // 英数字だけの語は3文字以上（c++・c# などの記号付きは除く）
+                return !/^[a-z0-9]+$/.test(word) || word.length >= 3;
+            });
+    }
+
+    normalizeVector(vector) {
+        const norm = Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0));
+        if (norm > 0) vector.forEach((value, term) => vector.set(term, value / norm));
+        return vector;
+    }
+
+    dotProduct(a, b) {
+        let sum = 0;
+        const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+        small.forEach((value, term) => {
+            const other = large.get(term);
+            if (other) sum += value * other;
+        });
+        return sum;
+    }
+
+    /**
+     * 似た会話をトピックにまとめる（コサイン類似度の k-means）
+     * 初期値は互いに最も似ていない会話から順に選ぶため、同じ入力なら結果も同じになる
+     * トピックは会話の多い順に 01_語_語_語 のキーを付け、キーワードのない会話は misc（その他）にする
+     */
+    clusterTopics(conversations, vectors) {
+        const indexes = vectors.map((vector, index) => index).filter(index => vectors[index].size > 0);
+        const requested = this.options.topicCount > 0
+            ? this.options.topicCount
+            : Math.round(Math.sqrt(indexes.length / 2));
+        const k = Math.max(1, Math.min(indexes.length, requested));
+
+        const assignments = new Map();
+        if (indexes.length > 0) {
+            // 初期値: 最も語の多い会話から始め、既に選んだ中心と最も似ていない会話を順に加える
+            let centroids = [vectors[indexes.reduce((best, index) => (vectors[index].size > vectors[best].size ? index : best))]];
+            while (centroids.length < k) {
+                let farthest = -1;
+                let lowest = Infinity;
+                indexes.forEach(index => {
+                    const similarity = Math.max(...centroids.map(centroid => this.dotProduct(vectors[index], centroid)));
+                    if (similarity < lowest) {
+                        lowest = similarity;
+                        farthest = index;
+                    }
+                });
+                centroids.push(vectors[farthest]);
+            }
+
+            for (let iteration = 0; iteration < 20; iteration++) {
+                let changed = false;
+                indexes.forEach(index => {
+                    let best = 0;
+                    let bestSimilarity = -1;
+                    centroids.forEach((centroid, cluster) => {
+                        const similarity = this.dotProduct(vectors[index], centroid);
+                        if (similarity > bestSimilarity) {
+                            bestSimilarity = similarity;
+                            best = cluster;
+                        }
+                    });
+                    if (assignments.get(index) !== best) {
+                        assignments.set(index, best);
+                        changed = true;
+                    }
+                });
+                if (!changed) break;
+
+                // 中心を割り当てられた会話の平均にする（重みの大きい50語のみ残す）
+                centroids = centroids.map((centroid, cluster) => {
+                    const sum = new Map();
+                    indexes.forEach(index => {
+                        if (assignments.get(index) !== cluster) return;
+                        vectors[index].forEach((value, term) => sum.set(term, (sum.get(term) || 0) + value));
+                    });
+                    if (sum.size === 0) return centroid;
+                    const top = [...sum.entries()].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)).slice(0, 50);
+                    return this.normalizeVector(new Map(top));
+                });
+            }
+        }
+
+        // 会話の多い順にキーと見出しを付ける
+        const members = new Map();
+        assignments.forEach((cluster, index) => {
+            if (!members.has(cluster)) members.set(cluster, []);
+            members.get(cluster).push(index);
+        });
+        const clusters = [...members.values()].sort((a, b) => b.length - a.length || a[0] - b[0]);
+
+        const topics = new Map();
+        const labels = new Map([['misc', 'その他']]);
+        clusters.forEach((clusterIndexes, order) => {
+            const scores = new Map();
+            clusterIndexes.forEach(index => {
+                vectors[index].forEach((value, term) => scores.set(term, (scores.get(term) || 0) + value));
+            });
+            const terms = [...scores.entries()]
+                .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+                .slice(0, 3)
+                .map(([term]) => term);
+            const number = String(order + 1).padStart(2, '0');
+            const key = [number, ...terms].join('_');
+            labels.set(key, `トピック${order + 1}: ${terms.join('・')}`);
+            clusterIndexes.forEach(index => topics.set(conversations[index], key));
+        });
+
+        return { topics, labels };
+    }
+
+    /**
+     * 1件のメッセージをMarkdownに変換（分岐があれば続けて出力）
+     */
+    messageToMarkdown(msg, headingLevel, index = 0) {
+        const images = msg.images ? this.imagesToMarkdown(msg.images) : '';
+        const attachments = msg.attachments ? this.attachmentsToMarkdown(msg.attachments) : '';
+        const branches = msg.branches ? this.branchesToMarkdown(msg, headingLevel) : '';
+        const body = (msg.content ? `${msg.content}\n\n` : '') + images + attachments + branches;
+
+        return this.renderTemplate(this.getTemplate().message, {
+            heading: '#'.repeat(headingLevel),
+            role: msg.role,
+            role_label: this.getRoleLabel(msg),
+            callout_type: msg.role === 'user' ? 'question' : msg.role === 'tool' ? 'example' : 'note',
+            index: index + 1,
+            // 分岐点のメッセージ
+            branch_label: msg.branches ? `Branch ${msg.branchIndex} of ${msg.branchTotal}` : '',
+            // メッセージのタイムスタンプ
+            time: this.formatDateTime(msg.timestamp),
+            timezone: this.getTimeZoneLabel(),
+            model: msg.model || '',
+            content: msg.content,
+            content_quoted: this.quoteMarkdown(body.trimEnd()),
+            images,
+            attachments,
+            branches
+        });
+    }
+
+    getRoleLabel(msg) {
+        if (msg.role === 'user') return 'User';
+        if (msg.role === 'tool') return msg.name ? `Tool (${msg.name})` : 'Tool';
+        return 'Assistant';
+    }
+
+    /**
+     * 画像を出力。エクスポートに同梱されていれば assets/ の画像を埋め込み、なければファイル名を記載する
+     */
+    imagesToMarkdown(images) {
+        let md = '';
+
+        images.forEach(image => {
+            const name = image.name || image.id;
+            const mediaPath = this.findMediaPath(image);
+            if (mediaPath) {
+                md += `![${name.replace(/[[\]]/g, '')}](${this.getAssetLink(mediaPath)})\n\n`;
+            } else {
+                const size = image.width && image.height ? ` (${image.width}×${image.height})` : '';
+                md += `🖼️ 画像（ファイルが見つかりません）: \`${name}\`${size}\n\n`;
+            }
+        });
+
+        return md;
+    }
+
+    /**
+     * 添付ファイルを出力（抽出済みのテキストがあればコードブロックで併記）
+     * エクスポートに同梱されていれば assets/ のファイルにリンクし、画像は埋め込む
+     */
+    attachmentsToMarkdown(attachments) {
+        let md = '';
+
+        attachments.forEach(file => {
+            const details = [file.mimeType, file.size ? `${file.size} bytes` : ''].filter(text => text);
+            const detailText = details.length > 0 ? ` (${details.join(', ')})` : '';
+            const mediaPath = this.findMediaPath(file);
+            const hasContent = file.content && file.content.trim();
+
+            if (mediaPath) {
+                const label = file.name.replace(/[[\]]/g, '');
+                const link = this.getAssetLink(mediaPath);
+                md += `📎 [${label}](${link})${detailText}\n\n`;
+                if (this.isImageFile(file.mimeType, mediaPath)) {
+                    md += `![${label}](${link})\n\n`;
+                }
+            } else if (hasContent) {
+                md += `📎 **${file.name}**${detailText}\n\n`;
+            } else {
+                md += `📎 **${file.name}**${detailText}（ファイルが見つかりません）\n\n`;
+            }
+
+            if (file.content && file.content.trim()) {
+                const extension = (file.name.match(/\.([a-zA-Z0-9]{1,10})$/) || [])[1] || '';
+                const longest = Math.max(0, ...(file.content.match(/^`{3,}/gm) || []).map(run => run.length));
+                const fence = '`'.repeat(Math.max(3, longest + 1));
+                md += `${fence}${extension.toLowerCase()}\n${file.content.trim()}\n${fence}\n\n`;
+            }
+        });
+
+        return md;
+    }
+
+    /**
+     * 添付ファイル・画像に対応するメディアファイルのZIP内のパスを探す（見つからなければ null）
+     * ChatGPTはファイルIDで始まる名前（file-abc123-photo.png）、Gemini・Claudeはファイル名で探す
+     * 会話をZIPから読み込んだ場合は同じZIPのファイルだけを探す
+     * 同じ名前のファイルが複数ある場合は、会話を読み込んだJSONと同じフォルダ（なければその下）のものを使う
+     * 見つかったパスは usedMediaPaths に記録する
+     */
+    findMediaPath(file) {
+        if (this.mediaFiles.size === 0) return null;
+
+        const dir = this.mediaSourceDir;
+        const prefix = this.mediaSourcePrefix;
+        const { byId, byName } = this.getMediaIndex();
+        const inSource = paths => (paths || []).filter(path =>
+            typeof prefix !== 'string' || this.getMediaOwner(path) === prefix);
+        const candidates = [
+            file.id ? inSource(byId.get(file.id)) : [],
+            file.id ? inSource(byName.get(file.id)) : [],
+            !file.name ? [] : this.mediaFiles.has(dir + file.name) ? [dir + file.name] : inSource(byName.get(file.name))
+        ].find(paths => paths.length > 0) || [];
+        const mediaPath = candidates.find(path => path.startsWith(dir) && !path.slice(dir.length).includes('/')) ||
+            candidates.find(path => path.startsWith(dir)) ||
+            candidates[0];
+        if (!mediaPath) return null;
+
+        this.usedMediaPaths.add(mediaPath);
+        return mediaPath;
+    }
+
+    /**
+     * 出力する会話のメディアファイルを探す場所（findMediaPath で使う）を設定
+     */
+    setMediaSource(conv) {
+        this.mediaSourcePrefix = typeof conv._mediaPrefix === 'string' ? conv._mediaPrefix : null;
+        this.mediaSourceDir = (this.mediaSourcePrefix || '') + this.getSourceDir(conv);
+    }
+
+    /**
+     * 会話を読み込んだJSONのフォルダ（末尾に / を付ける。ZIPの直下なら空文字列）
+     */
+    getSourceDir(conv) {
+        const fileName = conv._sourceFile || '';
+        return fileName.slice(0, fileName.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * メディアファイルを読み込んだZIPのフォルダ（getMediaPrefix を参照。最初のZIPなら空文字列）
+     */
+    getMediaOwner(mediaPath) {
+        return this.sources
+            .map(source => source.mediaPrefix)
+            .find(prefix => prefix && mediaPath.startsWith(prefix)) || '';
+    }
+
+    /**
+     * メディアファイルをファイル名・ファイルIDで引く索引（名前 -> ZIP内のパスの配列。mediaFiles が変わったら作り直す）
+     */
+    getMediaIndex() {
+        if (this.mediaIndex && this.mediaIndex.files === this.mediaFiles && this.mediaIndex.size === this.mediaFiles.size) {
+            return this.mediaIndex;
+        }
+
+        const byId = new Map();
+        const byName = new Map();
+        const add = (map, key, mediaPath) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(mediaPath);
+        };
+        for (const mediaPath of this.mediaFiles.keys()) {
+            const baseName = mediaPath.split('/').pop();
+            add(byName, baseName, mediaPath);
+
+            // ChatGPT: file-abc123-元の名前.png / file_0000abcd-uuid.png
+            const id = (baseName.match(/^file[-_][A-Za-z0-9]+/) || [])[0];
+            if (id) add(byId, id, mediaPath);
+        }
+
+        this.mediaIndex = { files: this.mediaFiles, size: this.mediaFiles.size, byId, byName };
+        return this.mediaIndex;
+    }
+
+    /**
+     * メディアファイルへの相対リンク（Markdownのリンクで問題になる文字はエンコードする）
+     */
+    getAssetLink(mediaPath) {
+        return this.assetBasePath + mediaPath
+            .split('/')
+            .map(segment => segment.replace(/[ \t()<>%#?[\]]/g,
+                char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`))
+            .join('/');
+    }
+
+    isImageFile(mimeType, fileName) {
+        return /^image\//.test(mimeType || '') || /\.(png|jpe?g|gif|webp|svg|bmp|avif|heic)$/i.test(fileName);
+    }
+
+    /**
+     * 別の分岐を引用ブロックとして出力
+     */
+    branchesToMarkdown(msg, headingLevel) {
+        let md = '';
+
+        msg.branches.forEach(branch => {
+            let branchMd = `**Branch ${branch.index} of ${msg.branchTotal}**\n\n`;
+            branch.messages.forEach((branchMsg, index) => {
+                branchMd += this.messageToMarkdown(branchMsg, Math.min(headingLevel + 1, 6), index);
+            });
+
+            md += this.quoteMarkdown(branchMd.trimEnd());
+            md += '\n\n';
+        });
+
+        return md;
+    }
+
+    /**
+     * 設定のタイムゾーン・日付形式で日時をフォーマット
+     * パターンでは YYYY MM DD HH mm ss SSS Z（UTCオフセット）が使え、[...] 内はそのまま出力する
+     */
+    formatDateTime(date, format = this.options.dateFormat) {
+        if (!date) return '';
+        if (!(date instanceof Date)) {
+            date = new Date(date);
+        }
+        if (isNaN(date.getTime())) return '';
+
+        const pattern = !format || format === 'iso' ? 'YYYY-MM-DD[T]HH:mm:ss.SSSZ' : format;
+        const parts = this.getDateParts(date);
+        const tokens = {
+            YYYY: String(parts.year).padStart(4, '0'),
+            MM: String(parts.month).padStart(2, '0'),
+            DD: String(parts.day).padStart(2, '0'),
+            HH: String(parts.hour).padStart(2, '0'),
+            mm: String(parts.minute).padStart(2, '0'),
+            ss: String(parts.second).padStart(2, '0'),
+            SSS: String(date.getUTCMilliseconds()).padStart(3, '0'),
+            Z: this.formatUtcOffset(parts.offset)
+        };
+
+        return pattern.replace(/\[([^\]]*)\]|YYYY|MM|DD|HH|mm|ss|SSS|Z/g, (token, literal) =>
+            literal !== undefined ? literal : tokens[token]);
+    }
+
+    /**
+     * 設定のタイムゾーンでの年月日・時刻とUTCオフセット（分）
+     */
+    getDateParts(date) {
+        const timeZone = this.options.timeZone || 'UTC';
+
+        if (timeZone === 'UTC') {
+            return {
+                year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+                hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds(), offset: 0
+            };
+        }
+        if (timeZone === 'local') {
+            return {
+                year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+                hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds(),
+                offset: -date.getTimezoneOffset()
+            };
+        }
+
+        // IANAのタイムゾーン名は Intl で変換（フォーマッタは使い回す）
+        if (!this._dateTimeFormat || this._dateTimeFormat.timeZone !== timeZone) {
+            this._dateTimeFormat = {
+                timeZone,
+                formatter: new Intl.DateTimeFormat('en-US', {
+                    timeZone, hourCycle: 'h23',
+                    year: 'numeric', month: 'numeric', day: 'numeric',
+                    hour: 'numeric', minute: 'numeric', second: 'numeric'
+                })
+            };
+        }
+
+        const parts = {};
+        this._dateTimeFormat.formatter.formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = Number(part.value);
+        });
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+        return {
+            year: parts.year, month: parts.month, day: parts.day,
+            hour: parts.hour, minute: parts.minute, second: parts.second,
+            offset: Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000)
+        };
+    }
+
+    formatUtcOffset(offset) {
+        if (offset === 0) return 'Z';
+        const sign = offset > 0 ? '+' : '-';
+        const minutes = Math.abs(offset);
+        return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * 見出しに表示するタイムゾーン名
+     */
+    getTimeZoneLabel() {
+        const timeZone = this.options.timeZone || 'UTC';
+        if (timeZone !== 'local') return timeZone;
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'Local';
+    }
+
+    /**
+     * フロントマターの日時の項目名（UTCのときは従来どおり created_utc / updated_utc）
+     */
+    getDateFieldName(name) {
+        return (this.options.timeZone || 'UTC') === 'UTC' ? `${name}_utc` : name;
+    }
+
+    /**
+     * タイムゾーンの指定が有効か（IANA名は Intl で確認）
+     */
+    isValidTimeZone(timeZone) {
+        if (timeZone === 'UTC' || timeZone === 'local') return true;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getAILabel(source = this.detectedSource) {
+        switch (source) {
+            case 'ChatGPT':
+                return 'ChatGPT';
+            case 'Gemini':
+                return 'Gemini';
+            case 'Claude':
+                return 'Claude';
+            default:
+                return 'AI';
+        }
+    }
+
+    /**
+     * 出力ファイル名のプレフィックス
+     */
+    getFilePrefix(source = this.detectedSource) {
+        switch (source) {
+            case 'ChatGPT':
+                return 'chatgpt';
+            case 'Gemini':
+                return 'gemini';
+            case 'Claude':
+                return 'claude';
+            default:
+                return 'ai_chat';
+        }
+    }
+
+    /**
+     * 見出しに使うソース名（ソース不明・混在の場合は AI Chat）
+     */
+    getSourceLabel(source) {
+        return source && source !== 'AI' ? source : 'AI Chat';
+    }
+
+    multiConversationsToMarkdown(conversations, periodKey) {
+        const template = this.getTemplate();
+        const source = this.getCommonSource(conversations);
+        const sourceLabel = this.getSourceLabel(source);
+        const groupVars = {
+            source_label: sourceLabel,
+            source_key: source.toLowerCase(),
+            period: periodKey,
+            count: conversations.length,
+            timezone: this.getTimeZoneLabel(),
+            front_matter: this.getGroupFrontMatter(conversations, periodKey, sourceLabel)
+        };
+
+        let md = this.renderTemplate(template.groupFrontMatter, groupVars);
+        md += this.renderTemplate(template.groupHeader, groupVars);
+
+        conversations.forEach((conv, index) => {
+            const vars = this.getConversationTemplateVars(conv);
+            md += this.renderTemplate(template.groupConversation, {
+                ...vars,
+                index: index + 1,
+                period: periodKey,
+                // ID情報（自動採番のIDは出力しない）
+                show_id: Boolean(conv.id && !String(conv.id).startsWith('conversation_')),
+                has_meta: Boolean(conv.id || conv.createTime || conv.updateTime)
+            });
+
+            this.setMediaSource(conv);
+            conv.messages.forEach((msg, msgIndex) => {
+                md += this.messageToMarkdown(msg, 3, msgIndex);
+            });
+
+            md += this.renderTemplate(template.groupSeparator, vars);
+        });
+
+        return md;
+    }
+
+    /**
+     * MarkdownをHTMLに変換（プレビュー用の簡易レンダラー）
+     * 生のHTMLはエスケープし、<details> / <summary> / <br> のみ通す
+     */
+    markdownToHtml(markdown) {
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        let html = '';
+
+        // YAMLフロントマター
+        if (lines[0] === '---') {
+            const end = lines.indexOf('---', 1);
+            if (end > 0) {
+                html += `<pre class="front-matter"><code>${this.escapeHtml(lines.slice(1, end).join('\n'))}</code></pre>\n`;
+                lines.splice(0, end + 1);
+            }
+        }
+
+        return html + this.renderMarkdownBlocks(lines);
+    }
+
+    renderMarkdownBlocks(lines) {
+        const html = [];
+        let i = 0;
+
+        const isBlockStart = (line) => /^\s*(`{3,}|~{3,})/.test(line) ||
+            /^#{1,6}\s/.test(line) ||
+            /^\s*>/.test(line) ||
+            /^\s*([-*+]|\d+[.)])\s+/.test(line) ||
+            /^\s*(-{3,}|\*{3,}|_{3,})\s*$/.test(line) ||
+            /^\s*<\/?(details|summary)\b/i.test(line);
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // コードブロック
+            const fenceMatch = line.match(/^\s*(`{3,}|~{3,})\s*([^`\s]*)/);
+            if (fenceMatch) {
+                const fence = fenceMatch[1];
+                const code = [];
+                i++;
+                while (i < lines.length && !new RegExp(`^\\s*${fence[0]}{${fence.length},}\\s*$`).test(lines[i])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const language = fenceMatch[2] ? ` class="language-${this.escapeHtml(fenceMatch[2])}"` : '';
+                html.push(`<pre><code${language}>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            // 見出し
+            const headingMatch = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (headingMatch) {
+                const level = headingMatch[1].length;
+                html.push(`<h${level}>${this.renderMarkdownInline(headingMatch[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            // 水平線
+            if (/^\s*(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            // <details> / <summary>
+            const detailsMatch = line.trim().match(/^<(\/?)(details|summary)>(.*?)(?:<\/summary>)?$/i);
+            if (detailsMatch) {
+                const [, closing, tag, text] = detailsMatch;
+                if (tag.toLowerCase() === 'summary' && !closing) {
+                    html.push(`<summary>${this.renderMarkdownInline(text)}</summary>`);
+                } else {
+                    html.push(`<${closing}${tag.toLowerCase()}>`);
+                }
+                i++;
+                continue;
+            }
+
+            // 引用
+            if (/^\s*>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s*> ?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${this.renderMarkdownBlocks(quoted)}</blockquote>`);
+                continue;
+            }
+
+            // 表
+            if (line.trim().startsWith('|') && i + 1 < lines.length &&
+                /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+                const rows = [];
+                while (i < lines.length && lines[i].trim().startsWith('|')) {
+                    rows.push(lines[i]);
+                    i++;
+                }
+                html.push(this.renderMarkdownTable(rows));
+                continue;
+            }
+
+            // リスト
+            const listMatch = line.match(/^(\s*)([-*+]|\d+[.)])\s+/);
+            if (listMatch) {
+                const listLines = [];
+                // 同じ種類（番号付き / 箇条書き）の項目と、インデントされた行をまとめる
+                const itemPattern = /\d/.test(listMatch[2]) ? /^\s*\d+[.)]\s+/ : /^\s*[-*+]\s+/;
+                const continues = (text) => text.match(/^(\s*)/)[1].length > listMatch[1].length && text.trim() !== '' ||
+                    itemPattern.test(text);
+                while (i < lines.length) {
+                    const current = lines[i];
+                    const nextContinues = i + 1 < lines.length && continues(lines[i + 1]);
+                    if (current.trim() === '' ? !nextContinues : !continues(current)) break;
+                    listLines.push(current);
+                    i++;
+                }
+                html.push(this.renderMarkdownList(listLines));
+                continue;
+            }
+
+            // 段落
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+                paragraph.push(lines[i]);
+                i++;
+            }
+            html.push(`<p>${paragraph.map(text => this.renderMarkdownInline(text.trim())).join('<br>\n')}</p>`);
+        }
+
+        return html.join('\n');
+    }
+
+    renderMarkdownList(lines) {
+        const firstMatch = lines[0].match(/^(\s*)([-*+]|\d+[.)])\s+/);
+        const baseIndent = firstMatch[1].length;
+        const ordered = /\d/.test(firstMatch[2]);
+        const items = [];
+
+        lines.forEach(line => {
+            const match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+            if (match && match[1].length === baseIndent) {
+                items.push({ lines: [match[3]], indent: match[1].length + match[2].length + 1 });
+            } else if (items.length > 0) {
+                const item = items[items.length - 1];
+                items[items.length - 1].lines.push(line.slice(Math.min(item.indent, line.match(/^\s*/)[0].length)));
+            }
+        });
+
+        const tag = ordered ? 'ol' : 'ul';
+        const start = ordered && parseInt(firstMatch[2], 10) !== 1 ? ` start="${parseInt(firstMatch[2], 10)}"` : '';
+        const body = items.map(item => {
+            // 単一段落の項目は <p> で囲まない
+            const inner = this.renderMarkdownBlocks(item.lines).replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+            return `<li>${inner}</li>`;
+        }).join('\n');
+
+        return `<${tag}${start}>\n${body}\n</${tag}>`;
+    }
+
+    renderMarkdownTable(rows) {
+        const splitRow = (row) => row.trim()
+            .replace(/^\|/, '')
+            .replace(/\|$/, '')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+        const header = splitRow(rows[0]);
+        const alignments = splitRow(rows[1]).map(cell =>
+            cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : '');
+        const cellHtml = (tag, text, index) => {
+            const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+            return `<${tag}${align}>${this.renderMarkdownInline(text)}</${tag}>`;
+        };
+
+        const head = `<tr>${header.map((cell, index) => cellHtml('th', cell, index)).join('')}</tr>`;
+        const body = rows.slice(2)
+            .map(row => `<tr>${splitRow(row).map((cell, index) => cellHtml('td', cell, index)).join('')}</tr>`)
+            .join('\n');
+
+        return `<table>\n<thead>${head}</thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+    }
+
+    renderMarkdownInline(text) {
+        // コードスパンを先に分離してから、それ以外を変換
+        return text.split(/(`+[^`]*?(?:`(?!`)[^`]*?)*`+)/).map(segment => {
+            const codeMatch = segment.match(/^(`+)([\s\S]*?)\1$/);
+            if (codeMatch) {
+                return `<code>${this.escapeHtml(codeMatch[2].trim())}</code>`;
+            }
+
+            return this.escapeHtml(segment)
+                .replace(/&lt;br\s*\/?&gt;/gi, '<br>')
+                .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) =>
+                    this.isSafeUrl(src) ? `<img src="${src}" alt="${alt}">` : match)
+                .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+                    this.isSafeUrl(href) ? `<a href="${href}" target="_blank" rel="noopener">${label}</a>` : match)
+                .replace(/&lt;((?:https?|mailto):[^\s&]+)&gt;/g, '<a href="$1" target="_blank" rel="noopener">$1</a>')
+                .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+                .replace(/(^|[^*])\*(?=[^\s*])(.+?)\*(?!\*)/g, '$1<em>$2</em>')
+                .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+        }).join('');
+    }
+
+    isSafeUrl(url) {
+        const decoded = url.replace(/&amp;/g, '&');
+        return /^(https?:|mailto:|#|\.{0,2}\/)/i.test(decoded) || !/^[a-z][a-z0-9+.-]*:/i.test(decoded);
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    sanitizeFilename(name) {
+        // Windowsの予約語リスト (大文字・小文字を区別しないコンテキストで考慮)
+        const reservedNames = [
+            'CON', 'PRN', 'AUX', 'NUL',
+            'COM1', 'COM2', 'COM3', 'COM4', 'COM5', 'COM6', 'COM7', 'COM8', 'COM9',
+            'LPT1', 'LPT2', 'LPT3', 'LPT4', 'LPT5', 'LPT6', 'LPT7', 'LPT8', 'LPT9'
+        ];
+
+        // # ^ [ ] はObsidian・Logseqのリンク（[[ファイル名]]）で使えないため置換する
+        let sanitized = name
+            .replace(/[\\/:*?"<>|#^[\]]/g, '_')
+            .replace(/\s+/g, '_') // スペースをアンダースコアに置換
+            .replace(/^_+|_+$/g, ''); // 先頭と末尾のアンダースコアを削除
+
+        // サロゲートペアを考慮して50文字（約150バイト）で切り詰める
+        // NOTE: Macのファイルシステム制限(255バイト)を回避するため安全マージンを取る
+        sanitized = [...sanitized].slice(0, 50).join('');
+
+        // 空になった場合のフォールバック
+        if (!sanitized) {
+            sanitized = 'untitled';
+        }
+
+        // 予約語チェック（完全一致する場合）
+        if (reservedNames.includes(sanitized.toUpperCase())) {
+            sanitized = `_${sanitized}_`;
+        }
+
+        // 末尾がドットで終わる場合もWindowsで問題になることがあるので削除
+        if (sanitized.endsWith('.')) {
+            sanitized = sanitized.slice(0, -1);
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * 適切なファイル名を生成
+     * UUID形式のタイトルの場合は日時ベースやプレフィックス付きの名前にフォールバック
+     */
+    /**
+     * 適切なファイル名を生成
+     * 重複がある場合は連番を付与
+     */
+    generateFilename(conv, index, prefix, usedFilenames) {
+        let baseName = '';
+        const title = conv.title;
+
+        if (!this.isPlaceholderTitle(title)) {
+            baseName = this.sanitizeFilename(title);
+        } else if (conv.createTime) {
+            // 日時ベース
+            baseName = `${prefix}_${this.formatDateTime(conv.createTime, 'YYYYMMDD_HHmm')}`;
+        } else {
+            // フォールバック
+            baseName = `${prefix}_conversation`;
+        }
+
+        // 重複チェックと連番付与
+        let finalName = baseName;
+        let counter = 1;
+
+        while (usedFilenames && usedFilenames.has(finalName)) {
+            finalName = `${baseName}_(${counter})`;
+            counter++;
+        }
+
+        if (usedFilenames) {
+            usedFilenames.add(finalName);
+        }
+
+        return finalName;
+    }
+
+    /**
+     * 画面表示用の日時（設定のタイムゾーンで表示）
+     */
+    formatDate(date) {
+        if (!date) return '';
+        const timeZone = this.options.timeZone || 'UTC';
+        return date.toLocaleString('ja-JP', {
+            timeZone: timeZone === 'local' ? undefined : timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ChatConverterCore, MANIFEST_FILENAME, REDACTION_REPORT_FILENAME, DIAGNOSTICS_REPORT_FILENAME,
+        PARSER_LABELS, OUTPUT_FORMATS, TEMPLATE_PRESETS, EXPORT_TYPES
+    };
+}
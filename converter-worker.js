@@ -0,0 +1,67 @@
+/**
+ * AI Chat to Markdown Converter - Web Worker
+ * 大きなエクスポートの解析とMarkdown・ZIPの生成をメインスレッドの外で行う
+ *
+ * メッセージ: { id, type, state, ... } を受け取り、{ id, type: 'progress' | 'done' | 'error', ... } を返す
+ * state はメインスレッドの設定（options / exportType / deselectedKeys / titleOverrides / previousManifest / customTemplates）
+ * 会話の本文はWorker側だけに置き、メインスレッドには一覧の項目・検索結果のキー・プレビュー・診断レポートだけを返す
+ */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    'json-stream-parser.js',
+    'converter-core.js'
+);
+
+const converter = new ChatConverterCore();
+
+self.addEventListener('message', async (e) => {
+    const { id, type, state, file, filters, key } = e.data;
+    const onProgress = (phase, ratio) => self.postMessage({ id, type: 'progress', phase, ratio });
+
+    try {
+        Object.assign(converter, state);
+        converter.applyTitleOverrides();
+
+        let result;
+        switch (type) {
+            case 'addFile': {
+                const found = await converter.addFile(file.name, file, ratio => onProgress('load', ratio));
+                result = { found, ...converter.getSessionSummary() };
+                break;
+            }
+            case 'reparse':
+                converter.parseConversations();
+                result = converter.getSessionSummary();
+                break;
+            case 'filter':
+                result = { keys: converter.filterConversations(filters).map(conv => conv._key) };
+                break;
+            case 'preview':
+                result = converter.getPreview(key);
+                break;
+            case 'count':
+                result = { fileCount: converter.getOutputFileCount() };
+                break;
+            case 'diagnostics':
+                result = { content: converter.getDiagnosticsReport() };
+                break;
+            case 'export':
+                result = await converter.exportFiles(onProgress);
+                break;
+            case 'reset':
+                converter.sources = [];
+                converter.conversations = [];
+                converter.mediaFiles = new Map();
+                result = null;
+                break;
+            default:
+                throw new Error(`Unknown task: ${type}`);
+        }
+
+        self.postMessage({ id, type: 'done', result });
+    } catch (error) {
+        console.error(error);
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
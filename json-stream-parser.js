@@ -0,0 +1,256 @@
+/**
+ * AI Chat to Markdown Converter - ストリーミングJSONパーサー
+ * JSONを少しずつ（チャンクごとに）解析する。数百MBのエクスポートでもファイル全体を1つの文字列にしない
+ */
+
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const JSON_NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const JSON_LITERALS = { t: ['true', true], f: ['false', false], n: ['null', null] };
+
+class JsonStreamParser {
+    constructor() {
+        this.buffer = ''; // 未処理の文字列（途中で切れたトークンを含む）
+        this.offset = 0; // buffer の先頭がJSON全体の何文字目か（エラー表示用）
+        this.stack = []; // 解析中のオブジェクト・配列 { container, key }
+        this.state = 'value'; // 次に期待するもの
+        this.stringParts = null; // 解析中の文字列（途中で切れた場合）
+        this.root = undefined;
+    }
+
+    /**
+     * チャンクを追加して解析を進める
+     */
+    write(chunk) {
+        this.buffer += chunk;
+        this.parse(false);
+    }
+
+    /**
+     * 入力の終わり。解析結果を返す
+     */
+    end() {
+        this.parse(true);
+        if (this.state !== 'done' || this.stringParts) {
+            this.fail('JSONが途中で終わっています');
+        }
+        return this.root;
+    }
+
+    parse(final) {
+        const buffer = this.buffer;
+        let pos = 0;
+
+        while (pos < buffer.length) {
+            if (this.stringParts) {
+                pos = this.readString(buffer, pos);
+                if (this.stringParts) break; // 続きは次のチャンク
+                continue;
+            }
+
+            const ch = buffer[pos];
+            if (ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t') {
+                pos++;
+                continue;
+            }
+
+            switch (this.state) {
+                case 'value':
+                case 'valueOrEnd':
+                    if (ch === ']' && this.state === 'valueOrEnd') {
+                        pos++;
+                        this.closeContainer();
+                        break;
+                    }
+                    if (ch === '{' || ch === '[') {
+                        pos++;
+                        this.openContainer(ch === '{' ? {} : []);
+                        break;
+                    }
+                    if (ch === '"') {
+                        pos++;
+                        this.stringParts = [];
+                        break;
+                    }
+                    {
+                        const next = this.readPrimitive(buffer, pos, final);
+                        if (next === -1) {
+                            this.buffer = buffer.slice(pos);
+                            this.offset += pos;
+                            return;
+                        }
+                        pos = next;
+                    }
+                    break;
+
+                case 'keyOrEnd':
+                case 'key':
+                    if (ch === '}' && this.state === 'keyOrEnd') {
+                        pos++;
+                        this.closeContainer();
+                    } else if (ch === '"') {
+                        pos++;
+                        this.stringParts = [];
+                    } else {
+                        this.fail(`キーが必要な位置に「${ch}」があります`, pos);
+                    }
+                    break;
+
+                case 'colon':
+                    if (ch !== ':') this.fail(`「:」が必要な位置に「${ch}」があります`, pos);
+                    pos++;
+                    this.state = 'value';
+                    break;
+
+                case 'commaOrEnd': {
+                    const top = this.stack[this.stack.length - 1];
+                    const isArray = Array.isArray(top.container);
+                    if (ch === ',') {
+                        this.state = isArray ? 'value' : 'key';
+                    } else if (ch === (isArray ? ']' : '}')) {
+                        this.closeContainer();
+                    } else {
+                        this.fail(`「,」または「${isArray ? ']' : '}'}」が必要な位置に「${ch}」があります`, pos);
+                    }
+                    pos++;
+                    break;
+                }
+
+                case 'done':
+                    this.fail(`JSONの後に余分な文字「${ch}」があります`, pos);
+            }
+        }
+
+        this.buffer = buffer.slice(pos);
+        this.offset += pos;
+    }
+
+    /**
+     * 文字列の続きを読む。閉じる「"」まで読めたら値（またはキー）として確定する
+     */
+    readString(buffer, pos) {
+        const special = /["\\]/g;
+
+        while (pos < buffer.length) {
+            special.lastIndex = pos;
+            const match = special.exec(buffer);
+            if (!match) {
+                this.stringParts.push(buffer.slice(pos));
+                return buffer.length;
+            }
+
+            const index = match.index;
+            if (index > pos) this.stringParts.push(buffer.slice(pos, index));
+
+            if (match[0] === '"') {
+                const value = this.stringParts.join('');
+                this.stringParts = null;
+                this.finishString(value);
+                return index + 1;
+            }
+
+            // エスケープ（途中で切れていたら次のチャンクを待つ）
+            const escape = buffer[index + 1];
+            if (escape === undefined) return index;
+            if (escape === 'u') {
+                if (index + 6 > buffer.length) return index;
+                const hex = buffer.slice(index + 2, index + 6);
+                if (!/^[0-9a-fA-F]{4}$/.test(hex)) this.fail(`不正なエスケープ「\\u${hex}」です`, index);
+                this.stringParts.push(String.fromCharCode(parseInt(hex, 16)));
+                pos = index + 6;
+            } else {
+                if (!(escape in JSON_ESCAPES)) this.fail(`不正なエスケープ「\\${escape}」です`, index);
+                this.stringParts.push(JSON_ESCAPES[escape]);
+                pos = index + 2;
+            }
+        }
+
+        return pos;
+    }
+
+    finishString(value) {
+        if (this.state === 'key' || this.state === 'keyOrEnd') {
+            this.stack[this.stack.length - 1].key = value;
+            this.state = 'colon';
+        } else {
+            this.addValue(value);
+        }
+    }
+
+    /**
+     * 数値・true・false・null を読む。チャンクの終わりで切れている可能性があれば -1 を返す
+     */
+    readPrimitive(buffer, pos, final) {
+        const ch = buffer[pos];
+
+        if (ch === '-' || (ch >= '0' && ch <= '9')) {
+            JSON_NUMBER_PATTERN.lastIndex = pos;
+            const match = JSON_NUMBER_PATTERN.exec(buffer);
+            if (!match) {
+                if (!final && pos + 1 >= buffer.length) return -1;
+                this.fail('不正な数値です', pos);
+            }
+            const end = pos + match[0].length;
+            if (!final) {
+                // 「1.」「1e」のようにチャンクの終わりまで数値が続いている場合は続きを待つ
+                let next = end;
+                while (next < buffer.length && /[0-9eE.+-]/.test(buffer[next])) next++;
+                if (next >= buffer.length) return -1;
+            }
+            this.addValue(Number(match[0]));
+            return end;
+        }
+
+        const literal = JSON_LITERALS[ch];
+        if (literal) {
+            const [text, value] = literal;
+            const part = buffer.slice(pos, pos + text.length);
+            if (part === text) {
+                this.addValue(value);
+                return pos + text.length;
+            }
+            if (!final && text.startsWith(part)) return -1;
+        }
+
+        this.fail(`予期しない文字「${ch}」があります`, pos);
+    }
+
+    openContainer(container) {
+        this.addValue(container, false);
+        this.stack.push({ container, key: null });
+        this.state = Array.isArray(container) ? 'valueOrEnd' : 'keyOrEnd';
+    }
+
+    closeContainer() {
+        this.stack.pop();
+        this.state = this.stack.length > 0 ? 'commaOrEnd' : 'done';
+    }
+
+    addValue(value, complete = true) {
+        if (this.stack.length === 0) {
+            this.root = value;
+            if (complete) this.state = 'done';
+            return;
+        }
+
+        const top = this.stack[this.stack.length - 1];
+        if (Array.isArray(top.container)) {
+            top.container.push(value);
+        } else if (top.key === '__proto__') {
+            // JSON.parse と同じく、プロトタイプではなく通常のプロパティとして扱う
+            Object.defineProperty(top.container, top.key, {
+                value, writable: true, enumerable: true, configurable: true
+            });
+        } else {
+            top.container[top.key] = value;
+        }
+        if (complete) this.state = 'commaOrEnd';
+    }
+
+    fail(message, pos = 0) {
+        throw new SyntaxError(`${message}（${this.offset + pos}文字目）`);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JsonStreamParser };
+}
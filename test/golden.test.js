@@ -0,0 +1,64 @@
+/**
+ * フィクスチャを変換した結果（ファイル名とMarkdown）をゴールデンファイルと比較する
+ * 出力を意図的に変えた場合は UPDATE_GOLDEN=1 node --test test/*.test.js で更新する
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, writeGolden, readGolden, UPDATE_GOLDEN } = require('./helpers');
+
+// Gemini API形式など、作成日時がない会話は現在時刻を使うため固定する
+const NOW = Date.parse('2025-01-01T00:00:00Z');
+
+const CASES = [
+    { name: 'chatgpt', fixture: 'chatgpt.json' },
+    { name: 'chatgpt-variants', fixture: 'chatgpt.json', options: { branchMode: 'variants' } },
+    { name: 'chatgpt-per-leaf', fixture: 'chatgpt.json', options: { branchMode: 'per_leaf' } },
+    {
+        name: 'chatgpt-media',
+        fixture: 'chatgpt.json',
+        options: { folderLayout: 'YYYY/MM' },
+        media: ['file-abc123-cat.png', 'user-0001/file-def456-notes (draft).pdf', 'dalle-generations/file-zzz999-unused.webp']
+    },
+    { name: 'chatgpt-vault', fixture: 'chatgpt.json', options: { vault: 'obsidian', vaultTagIndex: true, autoTags: true, folderLayout: 'YYYY/MM' } },
+    { name: 'claude', fixture: 'claude.json' },
+    { name: 'claude-front-matter', fixture: 'claude.json', options: { frontMatterSource: true, frontMatterStats: true, frontMatterAliases: true, autoTags: true } },
+    { name: 'gemini-activity', fixture: 'gemini-activity.json' },
+    { name: 'gemini-activity-per-month', fixture: 'gemini-activity.json', options: { exportType: 'per_month', timeZone: 'Asia/Tokyo' } },
+    {
+        name: 'gemini-activity-media',
+        fixture: 'gemini-activity.json',
+        media: ['Takeout/マイアクティビティ/Gemini アプリ/weather data.csv', 'Takeout/マイアクティビティ/Gemini アプリ/forecast-chart.png']
+    },
+    { name: 'gemini-activity-logseq', fixture: 'gemini-activity.json', options: { vault: 'logseq' } },
+    { name: 'gemini-activity-no-sessions', fixture: 'gemini-activity.json', options: { geminiSessionGap: 0 } },
+    { name: 'takeout', fixture: 'takeout.json' },
+    { name: 'gemini-api', fixture: 'gemini-api.json' },
+    { name: 'array', fixture: 'array.json' },
+    { name: 'array-per-day', fixture: 'array.json', options: { exportType: 'per_day' } },
+    { name: 'topics', fixture: 'topics.json', options: { exportType: 'per_topic', keywordTags: 3, topicCount: 3 } },
+    { name: 'generic', fixture: 'generic.json' },
+    { name: 'single', fixture: 'single.json', options: { folderLayout: 'YYYY/MM' } }
+];
+
+for (const { name, fixture, options, media = [] } of CASES) {
+    test(`ゴールデンファイル: ${name}`, async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+        const converter = await loadFixture(fixture, options);
+        // エクスポートに同梱されていたメディアファイル（ZIP内のパスのみ使う）
+        converter.mediaFiles = new Map(media.map(mediaPath => [mediaPath, null]));
+        const files = converter.generateMarkdownFiles();
+
+        if (UPDATE_GOLDEN) {
+            writeGolden(name, files);
+            return;
+        }
+
+        const golden = readGolden(name);
+        assert.deepEqual(files.map(file => file.filename).sort(), [...golden.keys()], 'ファイル名が一致しません');
+        for (const { filename, content } of files) {
+            assert.equal(content, golden.get(filename), `${filename} の内容が一致しません`);
+        }
+    });
+}
@@ -0,0 +1,72 @@
+/**
+ * テスト用の共通処理
+ * ブラウザ・DOMを使わずに ChatConverterCore でフィクスチャを変換する
+ *
+ * 実行: npm test（node --test test/*.test.js）
+ * ゴールデンファイルの更新: UPDATE_GOLDEN=1 npm test
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { ChatConverterCore } = require('../converter-core');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * フィクスチャ（JSONの文字列）を読み込む
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * フィクスチャを読み込んだコンバーターを返す
+ * exportType 以外の設定は options に渡す
+ */
+async function loadFixture(name, { exportType = 'per_chat', ...options } = {}) {
+    const converter = new ChatConverterCore(options);
+    converter.exportType = exportType;
+    await converter.loadFile(name, readFixture(name));
+    return converter;
+}
+
+/**
+ * ディレクトリ内のファイルを再帰的に列挙（相対パス・ソート済み）
+ */
+function listFiles(dir, base = dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            return entry.isDirectory()
+                ? listFiles(fullPath, base)
+                : [path.relative(base, fullPath).split(path.sep).join('/')];
+        })
+        .sort();
+}
+
+/**
+ * 生成したファイル（{ filename, content }）をゴールデンファイルとして書き出す
+ * 既存のファイルは削除してから書き直す
+ */
+function writeGolden(name, files) {
+    const dir = path.join(GOLDEN_DIR, name);
+    fs.rmSync(dir, { recursive: true, force: true });
+    for (const { filename, content } of files) {
+        const filePath = path.join(dir, filename);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+    }
+}
+
+/**
+ * ゴールデンファイルを読み込む（ファイル名 -> 内容）
+ */
+function readGolden(name) {
+    const dir = path.join(GOLDEN_DIR, name);
+    return new Map(listFiles(dir).map(filename => [filename, fs.readFileSync(path.join(dir, filename), 'utf8')]));
+}
+
+module.exports = { ChatConverterCore, readFixture, loadFixture, writeGolden, readGolden, UPDATE_GOLDEN };
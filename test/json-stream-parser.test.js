@@ -0,0 +1,57 @@
+/**
+ * ストリーミングJSONパーサーのテスト
+ * どこでチャンクが切れても JSON.parse と同じ結果になることを確かめる
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JsonStreamParser } = require('../json-stream-parser');
+const { readFixture } = require('./helpers');
+
+function parseInChunks(text, size) {
+    const parser = new JsonStreamParser();
+    for (let i = 0; i < text.length; i += size) {
+        parser.write(text.slice(i, i + size));
+    }
+    return parser.end();
+}
+
+test('すべてのフィクスチャを1文字ずつ・数文字ずつ解析しても JSON.parse と一致する', () => {
+    for (const fixture of ['chatgpt.json', 'claude.json', 'gemini-activity.json', 'array.json']) {
+        const text = readFixture(fixture);
+        const expected = JSON.parse(text);
+        for (const size of [1, 3, 7, 64, text.length]) {
+            assert.deepEqual(parseInChunks(text, size), expected, `${fixture}（${size}文字ずつ）`);
+        }
+    }
+});
+
+test('エスケープ・サロゲートペア・数値・リテラル', () => {
+    const text = JSON.stringify({
+        escaped: 'quote " backslash \\ newline \n tab \t \u0001',
+        emoji: '🚀 🚀',
+        numbers: [0, -1, 1.5, 1e21, -2.5e-3],
+        literals: [true, false, null],
+        nested: { '': [[], {}] }
+    });
+    for (const size of [1, 2, 5]) {
+        assert.deepEqual(parseInChunks(text, size), JSON.parse(text));
+    }
+    assert.deepEqual(parseInChunks('"\\ud83d\\ude80"', 1), '🚀');
+});
+
+test('__proto__ キーは通常のプロパティとして扱う', () => {
+    const value = parseInChunks('{"__proto__": {"polluted": true}}', 4);
+    assert.equal(Object.getPrototypeOf(value), Object.prototype);
+    assert.deepEqual(Object.keys(value), ['__proto__']);
+    assert.equal({}.polluted, undefined);
+});
+
+test('不正なJSONは位置付きのエラーにする', () => {
+    assert.throws(() => parseInChunks('{"a": 1', 2), /JSONが途中で終わっています/);
+    assert.throws(() => parseInChunks('{"a" 1}', 2), /「:」が必要な位置に「1」があります（5文字目）/);
+    assert.throws(() => parseInChunks('[1, 2] x', 3), /JSONの後に余分な文字「x」があります/);
+    assert.throws(() => parseInChunks('{a: 1}', 1), /キーが必要な位置に「a」があります/);
+    assert.throws(() => parseInChunks('"\\x"', 1), /不正なエスケープ/);
+    assert.throws(() => parseInChunks('[tru]', 1), /予期しない文字「t」があります/);
+});
@@ -0,0 +1,600 @@
+/**
+ * 各エクスポート形式のパーサーと、エッジケース（循環する parent・日時のない会話・絵文字のタイトル・予約語のファイル名）のテスト
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatConverterCore, loadFixture, readFixture } = require('./helpers');
+
+test('parseTimestamp: 秒・ミリ秒・ISO文字列・不正な値', () => {
+    const converter = new ChatConverterCore();
+    assert.equal(converter.parseTimestamp(1700000000).toISOString(), '2023-11-14T22:13:20.000Z');
+    assert.equal(converter.parseTimestamp(1700000000.5).toISOString(), '2023-11-14T22:13:20.500Z');
+    assert.equal(converter.parseTimestamp(1700000000123).toISOString(), '2023-11-14T22:13:20.123Z');
+    assert.equal(converter.parseTimestamp('2024-04-10T09:15:00.000000Z').toISOString(), '2024-04-10T09:15:00.000Z');
+    assert.equal(converter.parseTimestamp('not a date'), null);
+    assert.equal(converter.parseTimestamp(null), null);
+    assert.equal(converter.parseTimestamp(0), null);
+});
+
+test('sanitizeFilename: 使えない文字・予約語・長さ', () => {
+    const converter = new ChatConverterCore();
+    assert.equal(converter.sanitizeFilename('a/b:c*?<report>|'), 'a_b_c___report');
+    assert.equal(converter.sanitizeFilename('CON'), '_CON_');
+    assert.equal(converter.sanitizeFilename('lpt1'), '_lpt1_');
+    assert.equal(converter.sanitizeFilename('CON report'), 'CON_report');
+    assert.equal(converter.sanitizeFilename('   '), 'untitled');
+    assert.equal(converter.sanitizeFilename('ends with dot.'), 'ends_with_dot');
+    // Obsidian・Logseqのリンクで使えない文字
+    assert.equal(converter.sanitizeFilename('C# [draft] ^1'), 'C___draft___1');
+    // サロゲートペア（絵文字）を途中で切らない
+    assert.equal([...converter.sanitizeFilename('🚀'.repeat(60))].length, 50);
+    assert.equal(converter.sanitizeFilename('🚀'.repeat(60)), '🚀'.repeat(50));
+});
+
+test('generateFilename: タイトルがない会話は日時、日時もなければプレフィックスのみ', () => {
+    const converter = new ChatConverterCore();
+    const used = new Set();
+    const createTime = new Date('2024-01-02T03:04:05Z');
+    assert.equal(converter.generateFilename({ title: '会話 1', createTime }, 0, 'chatgpt', used), 'chatgpt_20240102_0304');
+    assert.equal(converter.generateFilename({ title: '0f8fad5b-d9cb-469f-a165-70867728950e', createTime }, 1, 'chatgpt', used), 'chatgpt_20240102_0304_(1)');
+    assert.equal(converter.generateFilename({ title: '' }, 2, 'claude', used), 'claude_conversation');
+    assert.equal(converter.generateFilename({ title: '' }, 3, 'claude', used), 'claude_conversation_(1)');
+});
+
+test('serializeYaml: 日付のような文字列は引用符で囲み、Date だけを日時として書く', () => {
+    const converter = new ChatConverterCore();
+    assert.equal(converter.serializeYaml([
+        ['title', '2024-03-05'],
+        ['aliases', ['2024-03-05']],
+        ['created_utc', new Date('2024-03-05T01:02:03Z')],
+        ['message_count', 2]
+    ]), 'title: "2024-03-05"\naliases:\n  - "2024-03-05"\ncreated_utc: 2024-03-05T01:02:03.000Z\nmessage_count: 2\n');
+
+    // YAMLの日時として読めない形式は文字列にする
+    converter.options.dateFormat = 'YYYY/MM/DD';
+    assert.equal(converter.serializeYaml([['created_utc', new Date('2024-03-05T01:02:03Z')]]), 'created_utc: "2024/03/05"\n');
+});
+
+test('generateTitle: 記法・コード・挨拶を除いた最初の文を単語の途中で切らずに使う', () => {
+    const converter = new ChatConverterCore();
+    assert.equal(converter.generateTitle('東京の週間天気を表にして。明日は雨ですか？'), '東京の週間天気を表にして');
+    assert.equal(converter.generateTitle('Hi. Can you explain version 3.5 of the [spec](https://example.com/spec)?'),
+        'Can you explain version 3.5 of the spec?');
+    assert.equal(converter.generateTitle('## Review\n\nPlease **review** `snake_case_name`:\n```js\nconsole.log(1)\n```'),
+        'Review Please review snake_case_name');
+    assert.equal(converter.generateTitle('How do I read a CSV file with pandas and handle missing values in the DataFrame?'),
+        'How do I read a CSV file with pandas and handle missing…');
+    assert.equal(converter.generateTitle('こんにちは。Pythonでスクレイピングをするときに、robots.txtを守りながら効率よくクロールする方法を教えて'),
+        'Pythonでスクレイピングをするときに、robots.txtを守りながら効率…');
+    assert.equal(converter.generateTitle('```\nonly code\n```'), '');
+});
+
+test('タイトルの生成: 仮のタイトルの会話は最初の質問から作り、変更したタイトルを見出しとファイル名に使う', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-01T00:00:00Z') });
+
+    const converter = await loadFixture('gemini-api.json');
+    const [conv] = converter.conversations;
+    assert.equal(conv.title, 'Translate "good morning" into French');
+
+    converter.setConversationTitle(conv._key, '  挨拶の  翻訳 ');
+    const [file] = converter.generateMarkdownFiles();
+    assert.equal(file.filename, '挨拶の_翻訳.md');
+    assert.match(file.content, /^# 挨拶の 翻訳$/m);
+
+    // 再解析しても変更したタイトルを使い、空にすると元に戻す
+    converter.parseConversations();
+    assert.equal(converter.conversations[0].title, '挨拶の 翻訳');
+    converter.setConversationTitle(conv._key, '');
+    assert.equal(converter.conversations[0].title, 'Translate "good morning" into French');
+    assert.equal(converter.titleOverrides.size, 0);
+});
+
+test('getSessionSummary: 会話一覧の項目だけを返し、検索・プレビューは会話を持つ側で行う', async () => {
+    const converter = await loadFixture('topics.json');
+    const { conversations } = converter.getSessionSummary();
+
+    assert.equal(conversations.length, converter.conversations.length);
+    assert.deepEqual(Object.keys(conversations[0]).sort(),
+        ['_key', '_parsedTitle', 'createTime', 'id', 'messageCount', 'source', 'title', 'updateTime']);
+
+    // 本文だけにある語でも検索でき、タイトルのみの検索では一致しない
+    const filters = { query: '飴色', titleOnly: false, from: '', to: '' };
+    assert.deepEqual(converter.filterConversations(filters).map(conv => conv.title), ['カレーのレシピ']);
+    assert.deepEqual(converter.filterConversations({ ...filters, titleOnly: true }), []);
+
+    const key = converter.filterConversations(filters)[0]._key;
+    assert.match(converter.getPreview(key).markdown, /^# カレーのレシピ$/m);
+    assert.equal(converter.getPreview('missing'), null);
+});
+
+test('detectParser: フィクスチャごとに正しい形式を検出する', async () => {
+    const expected = {
+        'chatgpt.json': ['chatgpt', 'ChatGPT'],
+        'claude.json': ['claude', 'Claude'],
+        'gemini-activity.json': ['gemini_activity', 'Gemini'],
+        'takeout.json': ['takeout', 'Gemini'],
+        'gemini-api.json': ['api', 'Gemini'],
+        'array.json': ['array', 'AI'],
+        'generic.json': ['generic', 'AI'],
+        'single.json': ['single', 'AI']
+    };
+
+    for (const [fixture, [parser, source]] of Object.entries(expected)) {
+        const converter = await loadFixture(fixture);
+        assert.equal(converter.sources[0].diagnostics.parser, parser, fixture);
+        assert.equal(converter.sources[0].detectedSource, source, fixture);
+    }
+});
+
+test('parseMapping: current_node から根まで辿り、経路外の分岐は出力しない', async () => {
+    const converter = await loadFixture('chatgpt.json');
+    const conv = converter.conversations.find(c => c.id === 'conv-0001');
+
+    assert.equal(conv.title, '🚀 Launch plan / Q3');
+    assert.deepEqual(conv.messages.map(m => m.role), ['user', 'assistant', 'tool', 'assistant', 'user', 'assistant', 'assistant']);
+    assert.ok(!conv.messages.some(m => m.content.includes('regenerated')));
+    assert.equal(conv.messages[6].model, 'gpt-4o-mini');
+
+    const { skippedMessages } = converter.sources[0].diagnostics;
+    assert.deepEqual(skippedMessages['システムメッセージ'].samples, ['$[0].mapping.sys']);
+    assert.deepEqual(skippedMessages['current_node の経路にない分岐（branchMode: current）'].samples, ['$[0].mapping.a1']);
+});
+
+test('parseMapping: current_node がない場合は作成日時の順に並べる', async () => {
+    const converter = await loadFixture('chatgpt.json');
+    const conv = converter.conversations.find(c => c.id === 'conv-0002');
+
+    assert.equal(conv.createTime, null);
+    assert.deepEqual(conv.messages.map(m => m.content), ['Hi', 'Hello! How can I help?']);
+});
+
+test('parseMapping: branchMode variants では再生成前の回答を残す', async () => {
+    const converter = await loadFixture('chatgpt.json', { branchMode: 'variants' });
+    const conv = converter.conversations.find(c => c.id === 'conv-0001');
+    const answer = conv.messages.find(m => m.branches && m.branches.length > 0);
+
+    assert.ok(answer, '別の回答が記録されていません');
+    assert.ok(JSON.stringify(answer.branches).includes('An earlier answer that was regenerated.'));
+});
+
+test('parseMapping: 循環する parent でも終了し、警告を記録する', async () => {
+    const converter = await loadFixture('chatgpt.json');
+    const conv = converter.conversations.find(c => c.id === 'conv-0003');
+
+    assert.equal(conv.messages.length, 2);
+    const { warnings } = converter.sources[0].diagnostics;
+    assert.deepEqual(warnings['mapping の parent が循環している（循環の手前まで出力）'].samples, ['$[2].mapping.x2']);
+});
+
+test('parseMapping: 循環する parent でもすべての branchMode で同じメッセージを出力する', async () => {
+    const contents = {};
+    for (const branchMode of ['current', 'variants', 'per_leaf']) {
+        const converter = await loadFixture('chatgpt.json', { branchMode });
+        const convs = converter.conversations.filter(c => c.id === 'conv-0003' || c.id.startsWith('conv-0003_branch_'));
+        contents[branchMode] = convs.flatMap(c => c.messages.map(m => `${m.role}: ${m.content}`)).sort();
+    }
+
+    assert.deepEqual(contents.current, [
+        'assistant: Reply whose parent points back to it',
+        'user: First message in a broken tree'
+    ]);
+    assert.deepEqual(contents.variants, contents.current);
+    assert.deepEqual(contents.per_leaf, contents.current);
+});
+
+test('parseMapping: 循環する parent を branchMode per_leaf でも辿れる', async () => {
+    const converter = await loadFixture('chatgpt.json', { branchMode: 'per_leaf' });
+    assert.ok(converter.conversations.some(c => c.id === 'conv-0003'));
+
+    // 根のない mapping は循環に入る手前のノードを根とみなして警告を記録する
+    const { warnings, skippedConversations } = converter.sources[0].diagnostics;
+    assert.deepEqual(warnings['mapping に根がない（parent が循環している）'].samples, ['$[2].mapping.x1']);
+
+    // メッセージもタイトルもない会話は他のモードと同じく出力しない
+    assert.ok(!converter.conversations.some(c => c.id === 'conv-0004'));
+    assert.deepEqual(skippedConversations['メッセージもタイトルもない'].samples, ['$[3]']);
+});
+
+test('parseArrayFormat: 日時のない会話・ロール名の正規化・予約語のタイトル', async () => {
+    const converter = await loadFixture('array.json');
+    const [aux, report] = converter.conversations;
+
+    assert.equal(aux.title, 'aux');
+    assert.equal(aux.createTime, null);
+    assert.deepEqual(aux.messages.map(m => [m.role, m.timestamp]), [['user', null], ['assistant', null]]);
+    assert.equal(report.messages[0].content, 'Question from parts');
+    assert.equal(report.messages[1].timestamp.toISOString(), '2024-03-03T03:03:20.123Z');
+
+    const filenames = converter.generateMarkdownFiles().map(file => file.filename);
+    assert.ok(filenames.includes('_aux_.md'));
+    assert.ok(filenames.includes('a_b_c___report.md'));
+});
+
+test('parseClaudeFormat: 添付ファイルとツールの呼び出し', async () => {
+    const converter = await loadFixture('claude.json');
+    const [conv] = converter.conversations;
+
+    assert.equal(conv.title, 'Résumé review: "draft" \\ v2');
+    assert.equal(conv.messages[0].attachments.length, 2);
+    assert.equal(conv.messages[1].role, 'assistant');
+    assert.deepEqual(converter.sources[0].diagnostics.unknownContentTypes.tool_use.samples, ['$[0].chat_messages[1].content[1]']);
+
+    // タイトルの引用符とバックスラッシュはフロントマターでエスケープする
+    assert.match(converter.conversationToMarkdown(conv), /^title: "Résumé review: \\"draft\\" \\\\ v2"$/m);
+});
+
+test('parseClaudeFormat: null の会話は除外して診断に記録する', async () => {
+    const converter = new ChatConverterCore();
+    await converter.addFile('claude-null.json', JSON.stringify([
+        { uuid: 'c1', name: 'First', chat_messages: [{ sender: 'human', text: 'Hello' }] },
+        null,
+        'broken'
+    ]));
+
+    assert.equal(converter.sources[0].diagnostics.parser, 'claude');
+    assert.deepEqual(converter.conversations.map(conv => conv.title), ['First']);
+    assert.deepEqual(converter.sources[0].diagnostics.skippedConversations['会話がオブジェクトではない'],
+        { count: 2, samples: ['$[1]', '$[2]'] });
+});
+
+test('parseTakeoutFormat: parts のテキストを改行で結合し、メッセージのない会話を除く', async () => {
+    const converter = await loadFixture('takeout.json');
+
+    assert.equal(converter.conversations.length, 1);
+    assert.deepEqual(converter.conversations[0].messages.map(m => [m.role, m.content]), [
+        ['user', 'Hello Gemini'],
+        ['assistant', 'Hi! \nHow can I help?']
+    ]);
+});
+
+test('parseGeminiActivityFormat: 近い時刻のアクティビティを1つの会話にまとめる', async () => {
+    const grouped = await loadFixture('gemini-activity.json');
+    assert.equal(grouped.conversations.length, 2);
+    assert.equal(grouped.conversations.find(c => c.title === 'What is JavaScript?').messages.length, 4);
+
+    const separate = await loadFixture('gemini-activity.json', { geminiSessionGap: 0 });
+    assert.equal(separate.conversations.length, 3);
+});
+
+test('parseGeminiActivityFormat: 会話IDはアクティビティの追加やまとめる間隔の変更で変わらない', async () => {
+    const idOf = (converter, title) => converter.conversations.find(c => c.title === title).id;
+    const grouped = await loadFixture('gemini-activity.json');
+    const separate = await loadFixture('gemini-activity.json', { geminiSessionGap: 0 });
+    assert.match(idOf(grouped, 'What is JavaScript?'), /^gemini_activity_[0-9a-f]{14}$/);
+    assert.equal(idOf(separate, 'What is JavaScript?'), idOf(grouped, 'What is JavaScript?'));
+    assert.equal(idOf(separate, '東京の週間天気を表にして'), idOf(grouped, '東京の週間天気を表にして'));
+
+    // 新しいアクティビティ（配列の先頭）が増えても既存の会話のIDは同じ
+    const activities = JSON.parse(readFixture('gemini-activity.json'));
+    const added = new ChatConverterCore();
+    await added.loadFile('gemini-activity.json', JSON.stringify([
+        { ...activities[0], title: '送信したメッセージ: New question', time: '2024-05-10T09:00:00.000Z' },
+        ...activities
+    ]));
+    assert.equal(added.conversations.length, 3);
+    assert.equal(idOf(added, 'What is JavaScript?'), idOf(grouped, 'What is JavaScript?'));
+    assert.equal(idOf(added, '東京の週間天気を表にして'), idOf(grouped, '東京の週間天気を表にして'));
+});
+
+test('parseGeminiActivityFormat: HTMLの表・コード・リンク・入れ子のリストをMarkdownにする', () => {
+    const converter = new ChatConverterCore();
+    assert.equal(
+        converter.htmlToMarkdown('<table><tr><th>A</th><th>B</th></tr><tr><td>1 &amp; 2</td><td>x|y</td></tr></table>'),
+        '| A | B |\n| --- | --- |\n| 1 & 2 | x\\|y |'
+    );
+    assert.equal(
+        converter.htmlToMarkdown('<pre><code class="language-js">a =&gt; b</code></pre>'),
+        '```js\na => b\n```'
+    );
+    assert.equal(converter.htmlToMarkdown('<p>See <a href="https://example.com/">docs</a>.</p>'), 'See [docs](https://example.com/).');
+    assert.equal(converter.htmlToMarkdown('<ul><li>a<ul><li>b</li></ul></li></ul>'), '- a\n  - b');
+});
+
+test('parseApiFormat: model のロールと未対応のパーツ', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-01T00:00:00Z') });
+
+    const converter = await loadFixture('gemini-api.json');
+    const [conv] = converter.conversations;
+
+    assert.deepEqual(conv.messages.map(m => m.role), ['user', 'assistant']);
+    assert.equal(conv.createTime.toISOString(), '2025-01-01T00:00:00.000Z');
+    assert.ok(converter.sources[0].diagnostics.unknownContentTypes.inlineData);
+});
+
+test('parseGenericFormat: 入れ子のキーにある会話を1回だけ解析する', async () => {
+    const converter = await loadFixture('generic.json');
+
+    assert.equal(converter.conversations.length, 1);
+    assert.equal(converter.conversations[0].messages.length, 3);
+    assert.ok(converter.sources[0].diagnostics.warnings['ロールが不明なメッセージ（user として出力）']);
+});
+
+test('parseSingleConversation: 1つの会話オブジェクトと絵文字のタイトル', async () => {
+    const converter = await loadFixture('single.json');
+    const [file] = converter.generateMarkdownFiles();
+
+    assert.equal(file.filename, 'Single_conversation_📝.md');
+    assert.match(file.content, /^# Single conversation 📝$/m);
+});
+
+test('removeDuplicateConversations: 同じ会話を2回読み込んでも1つにまとめる', async () => {
+    const converter = await loadFixture('claude.json');
+    await converter.addFile('claude-copy.json', JSON.stringify(converter.sources[0].jsonData));
+
+    assert.equal(converter.conversations.length, 1);
+    assert.equal(converter.duplicateCount, 1);
+});
+
+test('parser オプション: 自動検出せずに指定した形式で解析する', async () => {
+    const converter = await loadFixture('chatgpt.json', { parser: 'array' });
+    assert.equal(converter.sources[0].diagnostics.parser, 'array');
+});
+
+test('parseFieldMapping: JSONPathで指定したフィールドから会話を作る', () => {
+    const data = {
+        threads: [{
+            meta: { name: 'Mapped' },
+            turns: [
+                { who: 'me', body: { text: 'Question' }, at: 1700000000 },
+                { who: 'bot', body: { text: 'Answer' }, at: 1700000060 }
+            ]
+        }]
+    };
+    const fieldMapping = {
+        conversations: '$.threads[*]',
+        title: '@.meta.name',
+        messages: '@.turns',
+        role: '@.who',
+        content: '@.body.text',
+        timestamp: '@.at',
+        roleMap: 'me=user, bot=assistant'
+    };
+    const converter = new ChatConverterCore({ parser: 'mapping', fieldMapping });
+    converter.sources = [{ fileName: 'threads.json', jsonData: data }];
+    converter.parseConversations();
+
+    const [conv] = converter.conversations;
+    assert.equal(conv.title, 'Mapped');
+    assert.deepEqual(conv.messages.map(m => [m.role, m.content]), [['user', 'Question'], ['assistant', 'Answer']]);
+    assert.equal(conv.messages[1].timestamp.toISOString(), '2023-11-14T22:14:20.000Z');
+
+    // 必須のフィールドがない場合はエラー
+    converter.options.fieldMapping = { conversations: '$.threads[*]' };
+    assert.throws(() => converter.parseConversations());
+});
+
+test('queryJsonPath: 添字・ワイルドカード・負の添字', () => {
+    const converter = new ChatConverterCore();
+    const data = { a: [{ b: 1 }, { b: 2 }, { b: 3 }], 'x y': { z: true } };
+
+    assert.deepEqual(converter.queryJsonPath(data, '$.a[*].b').map(r => r.value), [1, 2, 3]);
+    assert.deepEqual(converter.queryJsonPath(data, '$.a[-1].b'), [{ value: 3, path: '$.a[2].b' }]);
+    assert.deepEqual(converter.queryJsonPath(data, "$['x y'].z").map(r => r.value), [true]);
+    assert.deepEqual(converter.queryJsonPath(data, '$.missing'), []);
+});
+
+test('conversationsToJsonl: 1行に1メッセージ', async () => {
+    const converter = await loadFixture('takeout.json');
+    const lines = converter.conversationsToJsonl(converter.conversations).trim().split('\n').map(line => JSON.parse(line));
+
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0].conversation_title, 'Takeout chat');
+    assert.equal(lines[1].role, 'assistant');
+    assert.equal(lines[1].timestamp, '2024-02-01T08:00:05.000Z');
+});
+
+test('outputFormat: HTMLではファイルの拡張子と内容が変わる', async () => {
+    const converter = await loadFixture('single.json', { outputFormat: 'html' });
+    const [file] = converter.generateMarkdownFiles();
+
+    assert.equal(file.filename, 'Single_conversation_📝.html');
+    assert.match(file.content, /^<!DOCTYPE html>/);
+    assert.ok(!file.content.includes('title: "Single conversation 📝"'));
+});
+
+test('redact: 秘密情報と個人情報を伏せ字にしてレポートを追加する', () => {
+    const converter = new ChatConverterCore({ redact: true });
+    converter.sources = [{
+        fileName: 'conversations.json',
+        jsonData: [{
+            title: 'Secrets',
+            messages: [{ role: 'user', content: 'Mail jane@example.com, key sk-abcdefghijklmnopqrstuvwxyz123456, card 4111 1111 1111 1111' }]
+        }, {
+            title: 'redaction-report',
+            messages: [{ role: 'user', content: 'password: password123, call 090-1234-5678 on 12-25-2024 from db.corp.example.internal' }]
+        }, {
+            title: 'Code',
+            messages: [{ role: 'user', content: 'Use threading.local and this.internal; the password is password' }]
+        }]
+    }];
+    converter.parseConversations();
+
+    const content = converter.conversations[0].messages[0].content;
+    assert.ok(!content.includes('jane@example.com'));
+    assert.ok(!content.includes('sk-abcdefghijklmnopqrstuvwxyz123456'));
+    assert.ok(!content.includes('4111 1111 1111 1111'));
+    assert.match(content, /\[REDACTED:email\]/);
+
+    // キーと値に同じ文字列があっても値だけを伏せ字にし、日付・コードは伏せ字にしない
+    assert.equal(converter.conversations[1].messages[0].content,
+        'password: [REDACTED:credential_assignment], call [REDACTED:phone] on 12-25-2024 from [REDACTED:internal_host]');
+    assert.equal(converter.conversations[2].messages[0].content,
+        'Use threading.local and this.internal; the password is password');
+
+    // 伏せ字レポートと同じ名前の会話はファイル名をずらす
+    const filenames = converter.generateMarkdownFiles().map(file => file.filename);
+    assert.deepEqual(filenames.filter(name => name.startsWith('redaction-report')),
+        ['redaction-report_(1).md', 'redaction-report.md']);
+});
+
+test('getDiagnosticsReport: 読み込めなかったデータの理由と場所を出力する', async () => {
+    const converter = await loadFixture('array.json');
+    const report = converter.getDiagnosticsReport();
+
+    assert.match(report, /空のメッセージ（null）/);
+    assert.match(report, /\$\[2\]\.messages\[0\]/);
+});
+
+test('メディアファイル: 添付ファイル・画像を assets/ への相対パスでリンクし、ないファイルはファイル名を記載する', async () => {
+    const converter = await loadFixture('chatgpt.json', { folderLayout: 'YYYY/MM' });
+    converter.mediaFiles = new Map([['file-abc123-cat.png', null]]);
+    const file = converter.generateMarkdownFiles().find(f => f.filename === '2023/11/🚀_Launch_plan___Q3.md');
+
+    assert.match(file.content, /^!\[cat\.png\]\(\.\.\/\.\.\/assets\/file-abc123-cat\.png\)$/m);
+    assert.match(file.content, /^📎 \*\*notes \(draft\)\.pdf\*\* \(application\/pdf, 2048 bytes\)（ファイルが見つかりません）$/m);
+
+    const message = converter.conversations[0].messages.find(m => m.images);
+    assert.deepEqual(message.images, [{ id: 'file-abc123', name: 'cat.png', width: 640, height: 480 }]);
+    assert.equal(message.attachments[0].id, 'file-def456');
+});
+
+test('メディアファイル: Geminiの attachedFiles・imageFile をメッセージに付ける', async () => {
+    const converter = await loadFixture('gemini-activity.json');
+    const conv = converter.conversations.find(c => c.title === '東京の週間天気を表にして');
+
+    assert.deepEqual(conv.messages[0].attachments.map(file => file.name), ['weather data.csv']);
+    assert.deepEqual(conv.messages[1].images.map(image => image.name), ['forecast-chart.png']);
+
+    const withoutImages = await loadFixture('gemini-activity.json', { includeImages: false });
+    assert.ok(!withoutImages.conversations.some(c => c.messages.some(m => m.images)));
+});
+
+test('メディアファイル: 出力する会話が参照するファイルだけを記録し、同じ名前は会話のJSONと同じフォルダのものを使う', () => {
+    const converter = new ChatConverterCore();
+    converter.sources = [
+        { fileName: 'export/a/conversations.json', jsonData: [{ uuid: 'a', name: 'A', chat_messages: [{ sender: 'human', text: 'A', files: [{ file_name: 'image.png' }] }] }] },
+        { fileName: 'export/b/conversations.json', jsonData: [{ uuid: 'b', name: 'B', chat_messages: [{ sender: 'human', text: 'B', files: [{ file_name: 'image.png' }] }] }] }
+    ];
+    converter.parseConversations();
+    converter.mediaFiles = new Map([
+        ['export/a/image.png', null], ['export/b/image.png', null], ['export/c/unrelated.mp3', null]
+    ]);
+
+    const files = converter.generateMarkdownFiles();
+    assert.match(files.find(file => file.filename === 'A.md').content, /\(assets\/export\/a\/image\.png\)/);
+    assert.match(files.find(file => file.filename === 'B.md').content, /\(assets\/export\/b\/image\.png\)/);
+    assert.deepEqual([...converter.usedMediaPaths], ['export/a/image.png', 'export/b/image.png']);
+
+    // 選択を外した会話のファイルは出力しない
+    converter.deselectedKeys = new Set([converter.conversations[1]._key]);
+    converter.generateMarkdownFiles();
+    assert.deepEqual([...converter.usedMediaPaths], ['export/a/image.png']);
+});
+
+test('メディアファイル: 複数のZIPに同じ名前のファイルがあれば、2つ目以降はZIPの名前のフォルダに置いて会話と同じZIPのものを使う', async () => {
+    const JSZip = require('jszip');
+    const createZip = async (uuid, image) => {
+        const zip = new JSZip();
+        zip.file('conversations.json', JSON.stringify([
+            { uuid, name: uuid, chat_messages: [{ sender: 'human', text: uuid, files: [{ file_name: 'image.png' }] }] }
+        ]));
+        zip.file('image.png', image);
+        return zip.generateAsync({ type: 'nodebuffer' });
+    };
+
+    const converter = new ChatConverterCore();
+    await converter.addFile('first.zip', await createZip('first', 'first image'));
+    await converter.addFile('second.zip', await createZip('second', 'second image'));
+    assert.deepEqual([...converter.mediaFiles.keys()], ['image.png', 'second/image.png']);
+
+    const files = converter.generateMarkdownFiles();
+    assert.match(files.find(file => file.filename === 'first.md').content, /\(assets\/image\.png\)/);
+    assert.match(files.find(file => file.filename === 'second.md').content, /\(assets\/second\/image\.png\)/);
+    assert.equal(await converter.mediaFiles.get('second/image.png').async('string'), 'second image');
+});
+
+test('getAssetLink: Markdownのリンクで問題になる文字をエンコードする', () => {
+    const converter = new ChatConverterCore();
+    converter.assetBasePath = converter.getAssetBasePath('2024/05/chat.md');
+    assert.equal(converter.getAssetLink('Gemini アプリ/a (1)#.png'), '../../assets/Gemini%20アプリ/a%20%281%29%23.png');
+});
+
+test('vault: 索引ノートと同じ名前の会話はファイル名をずらし、前後の会話にリンクする', () => {
+    const converter = new ChatConverterCore({ vault: 'obsidian' });
+    converter.sources = [{
+        fileName: 'chats.json',
+        jsonData: [
+            { title: 'index', created_at: '2024-01-02T00:00:00Z', messages: [{ role: 'user', content: 'B' }] },
+            { title: 'First', created_at: '2024-01-01T00:00:00Z', messages: [{ role: 'user', content: 'A' }] }
+        ]
+    }];
+    converter.parseConversations();
+
+    const files = converter.generateMarkdownFiles();
+    assert.deepEqual(files.map(file => file.filename), [
+        'index_(1).md',
+        'First.md',
+        'index/index.md',
+        'index/index_2024.md',
+        'index/index_2024-01.md',
+        'index/index_ai_chat.md'
+    ]);
+    assert.equal(converter.getOutputFileCount(), files.length);
+    assert.match(files[1].content, /^- → 次の会話: \[\[index_\(1\)\|index\]\]$/m);
+    assert.match(files[0].content, /^- ← 前の会話: \[\[First\]\]$/m);
+
+    // 会話ごとのMarkdown以外では索引ノートを作らない
+    converter.options.outputFormat = 'html';
+    assert.ok(!converter.generateMarkdownFiles().some(file => file.filename.startsWith('index/')));
+});
+
+test('vault: 差分エクスポートでも索引ノートを毎回出力する', () => {
+    const converter = new ChatConverterCore({ vault: 'obsidian', incremental: true });
+    converter.sources = [{
+        fileName: 'conversations.json',
+        jsonData: [{ id: 'a', title: 'Only', created_at: '2024-01-01T00:00:00Z', messages: [{ role: 'user', content: 'A' }] }]
+    }];
+    converter.parseConversations();
+
+    const first = converter.generateMarkdownFiles();
+    converter.previousManifest = JSON.parse(first.find(file => file.filename === 'ai-chat-manifest.json').content);
+    const second = converter.generateMarkdownFiles().map(file => file.filename);
+
+    assert.ok(!second.includes('Only.md'));
+    assert.ok(second.includes('index/index_2024-01.md'));
+});
+
+test('tokenizeKeywords: 日本語を単語に分け、ひらがなだけの語・1文字の語・コードを除く', () => {
+    const converter = new ChatConverterCore();
+    assert.deepEqual(converter.tokenizeKeywords('東京の週間天気を表にして'), ['東京', '週間', '天気']);
+    assert.deepEqual(converter.tokenizeKeywords('Use pandas and C++ with the DataFrame API'), ['pandas', 'c++', 'dataframe', 'api']);
+
+    const counts = converter.countKeywordTerms({ title: 'Plot', messages: [{ content: 'See ```js\nconsole.log(x)\n``` and https://example.com/page' }] });
+    assert.deepEqual([...counts.keys()], ['plot']);
+});
+
+test('tokenizeKeywords: Intl.Segmenter がない場合は漢字を2文字ずつに分ける', () => {
+    const converter = new ChatConverterCore();
+    converter.wordSegmenter = null;
+    assert.deepEqual(converter.tokenizeKeywords('週間天気とカレーのレシピ'), ['週間', '間天', '天気', 'カレー', 'レシピ']);
+});
+
+test('keywordTags: TF-IDFの高い語をタグにし、似た会話をトピックにまとめる', async () => {
+    const converter = await loadFixture('topics.json', { keywordTags: 3, topicCount: 3, exportType: 'per_topic' });
+    const byTitle = title => converter.conversations.find(conv => conv.title === title);
+
+    assert.ok(converter.getTags([byTitle('カレーのレシピ')]).includes('レシピ'));
+    assert.ok(converter.getTags([byTitle('Group by in pandas')]).includes('pandas'));
+    assert.match(converter.conversationToMarkdown(byTitle('京都の紅葉')), /^tags:\n {2}- "紅葉"\n {2}- "京都"\n {2}- "旅行"$/m);
+
+    const groups = [...converter.groupConversations().entries()]
+        .map(([key, convs]) => [converter.getGroupLabel(key), convs.map(conv => conv.title)]);
+    assert.deepEqual(groups, [
+        ['トピック1: pandas・dataframe・欠損', ['pandasでCSVを読み込む', 'DataFrameの欠損値', 'Group by in pandas']],
+        ['トピック2: レシピ・玉ねぎ・鶏肉', ['カレーのレシピ', '鶏肉の照り焼き', '玉ねぎのスープ']],
+        ['トピック3: 京都・旅行・紅葉', ['京都の旅行プラン', '京都の紅葉']],
+        ['その他', ['はい']]
+    ]);
+
+    // 会話が変わるまでは同じ結果を使い回し、タイトルを変更した場合（Web Workerでは titleOverrides）は計算し直す
+    const model = converter.getTopicModel();
+    assert.equal(converter.getTopicModel(), model);
+    converter.titleOverrides = new Map([[byTitle('京都の紅葉')._key, '嵐山の紅葉']]);
+    converter.applyTitleOverrides();
+    assert.notEqual(converter.getTopicModel(), model);
+    assert.ok(converter.getTags([byTitle('嵐山の紅葉')]).includes('嵐山'));
+    converter.titleOverrides = new Map();
+    converter.applyTitleOverrides();
+    assert.equal(converter.getOutputFileCount(), 4);
+});